@@ -13,18 +13,28 @@ import { mountKnobs } from '../ui/knobs/knobs.js';
 import { resetBackgroundAnimation } from '../ui/background-animation.js';
 
 // Audio engine, session management, and state modules
-import { ensureAudio, setEngineHooks, setDbMeterEnabled } from './engine/audio-engine.js';
+import { ensureAudio, setEngineHooks, setDbMeterEnabled, getWorkletNode } from './engine/audio-engine.js';
 import { setTransportHooks } from './engine/transport.js';
 import { getAudioBuffer } from './session/buffer-session.js';
-import { startRecording, stopRecordingAndExport, reflectRecMaxSeconds } from './session/recorder-session.js';
+import { startRecording, stopRecordingAndExport, reflectRecMaxSeconds, setRecorderHooks, initRecorderControls } from './session/recorder-session.js';
+import { initBounceControls } from './session/bounce-session.js';
 import { micHoldStart, micHoldStop } from './session/mic-session.js';
-import { setActiveCursor, getActiveCursor, positions, sendPositions, drawWaveformIfAny, getMaybeSnapToZero, setMaybeSnapToZero } from './state/cursors.js';
+import { setActiveCursor, getActiveCursor, getCursorCount, initCursorCountControl, positions, sendPositions, drawWaveformIfAny, getMaybeSnapToZero, setMaybeSnapToZero } from './state/cursors.js';
 import { toggleHoldFor } from './state/hold.js';
+import { initClockControls } from './state/clock.js';
+import { initReverbControls } from './state/reverb.js';
+import { initMasterControls, updateCompressorUI } from './state/master.js';
+import { initQualityControls } from './state/quality.js';
+import { initSeedControls } from './state/seed.js';
+import { initModMatrixControls } from './state/modmatrix.js';
+import { initPresetControls } from './presets/snapshot.js';
 
 // UI modules (transport, overlay, waveform, I/O, mic visualization, input handlers, presets)
 import { getPlaySwitchInput, getRecSwitchInput } from '../ui/transport/transport-ui.js';
 import { showSplash, hideSplash, labelKnobsFromHotkeys, wireKnobKeycaps, showSplashStatic, setKeycapsVisible } from '../ui/overlay/splash.js';
 import { requestWaveformRedraw, drawWaveform } from '../ui/waveform/waveform.js';
+import { mountLoudnessMeter } from '../ui/loudness-meter.js';
+import { mountCpuMeter } from '../ui/cpu-meter.js';
 import { initIOSplitWiring, adjustIOSplitWidth, calibrateSwitchScale } from '../ui/io/io-split.js';
 import { bindTransportSwitches, reflectPlayButtonState } from '../ui/transport/transport-ui.js';
 import { initHoldButtonWiring, getHoldButton, setHoldHooks } from './state/hold.js';
@@ -63,10 +73,19 @@ function updateLimiterUI(tpDb, grDb) {
   else                                 tpBox.classList.add('hot');
 }
 
+// Loudness meter and DSP load views (readings come with the worklet telemetry)
+let loudnessView = null;
+let cpuView = null;
+
 // Module connection hooks (wiring only)
 setEngineHooks({
   positionsRef: positions,
-  onTelemetry: (tpDb, grDb) => updateLimiterUI(tpDb, grDb),
+  onTelemetry: (tpDb, grDb, compDb, loudness, dsp) => {
+    updateLimiterUI(tpDb, grDb);
+    updateCompressorUI(compDb);
+    loudnessView?.update(loudness);
+    cpuView?.update(dsp);
+  },
   onPositions: () => requestWaveformRedraw(),
   onRecChunk:  (l, r) => { try { window.__RecorderSessionPushChunk?.(l, r); } catch {} },
   onRecAutostop: () => { try { window.__RecorderSessionAutoStop?.(); } catch {} }
@@ -99,6 +118,7 @@ initGranularHotkeys({
   getRecSwitchInput,
   setActiveCursor,
   getActiveCursor: () => getActiveCursor(),
+  getCursorCount:  () => getCursorCount(),
   positionsRef: positions,
   sendPositions,
   redrawWaveform: () => { const buf = getAudioBuffer(); if (buf) drawWaveform(buf); },
@@ -135,6 +155,29 @@ document.addEventListener("DOMContentLoaded", () => {
   // Mount parameter knobs
   mountKnobs({ maybeSnapToZero: getMaybeSnapToZero() });
 
+  // Tempo clock, cursor count, master reverb, master chain, quality and seed controls (session-wide)
+  initClockControls();
+  initCursorCountControl();
+  initReverbControls();
+  initMasterControls();
+  initQualityControls();
+  initSeedControls();
+
+  // Modulation matrix panel + preset save/load + offline bounce
+  initModMatrixControls();
+  initPresetControls();
+  initBounceControls();
+
+  // Loudness meter (RESET restarts integrated/LRA) + summary of each recording
+  loudnessView = mountLoudnessMeter({
+    onReset: () => { try { getWorkletNode()?.port.postMessage({ type: "resetLoudness" }); } catch {} }
+  });
+  setRecorderHooks({ onRecordingLoudness: (summary) => loudnessView?.setLastRecording(summary) });
+  initRecorderControls();
+
+  // DSP load, grains per cursor, dropped spawns, adaptive level
+  cpuView = mountCpuMeter();
+
   // Initialize keycaps and overlay
   labelKnobsFromHotkeys();
   wireKnobKeycaps();
@@ -29,8 +29,17 @@ const hooks = {
   onReady: null,
   onRecChunk: null,
   onRecAutostop: null,
+  onScanEnd: null,
+  onWorkletPost: null,
   cursorParamsRef: null,
-  sendAllCursorParams: null
+  getCursorCount: null,
+  sendAllCursorParams: null,
+  sendClockSettings: null,
+  sendReverbSettings: null,
+  sendMasterSettings: null,
+  sendQualitySettings: null,
+  sendSeedSettings: null,
+  sendModMatrices: null
 };
 
 export function setEngineHooks(partial = {}){
@@ -50,6 +59,23 @@ export function setDbMeterEnabled(on){
 
 function clamp01(x) { return Math.max(0, Math.min(1, x)); }
 
+/**
+ * Post the session state (cursor parameters, clock, reverb, master chain,
+ * quality, seed, modulation routing) to `node`. The live worklet gets it on
+ * start; offline bounces collect it as their starting state.
+ * @param {{port: {postMessage: Function}}} node
+ * @param {{params?: boolean}} [opts] params: false when they travel through the SAB
+ */
+export function postSessionState(node, { params = true } = {}) {
+  if (params) { try { hooks.sendAllCursorParams?.(node); } catch {} }
+  try { hooks.sendClockSettings?.(node); } catch {}
+  try { hooks.sendReverbSettings?.(node); } catch {}
+  try { hooks.sendMasterSettings?.(node); } catch {}
+  try { hooks.sendQualitySettings?.(node); } catch {}
+  try { hooks.sendSeedSettings?.(node); } catch {}
+  try { hooks.sendModMatrices?.(node); } catch {}
+}
+
 export async function waitForWorkletReady() {
   if (workletReadyPromise) return workletReadyPromise;
   workletReadyPromise = new Promise((res) => { resolveWorkletReady = res; });
@@ -70,13 +96,21 @@ export async function ensureAudio() {
 
   // Load the granular processor worklet
   await audioCtx.audioWorklet.addModule("worklet/granular-processor.js");
+  const cursorCount = hooks.getCursorCount?.() ?? 3;
   workletNode = new AudioWorkletNode(audioCtx, "granular-processor-pro", {
     numberOfInputs: 0,
     numberOfOutputs: 1,
     outputChannelCount: [2],
-    processorOptions: { sampleRate: audioCtx.sampleRate, useSAB: hasSAB }
+    processorOptions: { sampleRate: audioCtx.sampleRate, useSAB: hasSAB, cursorCount }
   });
 
+  // Every outgoing message passes the tap (timeline capture for offline bounces)
+  const post = workletNode.port.postMessage.bind(workletNode.port);
+  workletNode.port.postMessage = (msg, transfer) => {
+    try { hooks.onWorkletPost?.(msg); } catch {}
+    return transfer ? post(msg, transfer) : post(msg);
+  };
+
   await audioCtx.audioWorklet.addModule("worklet/recorder-processor.js");
   recorderNode = new AudioWorkletNode(audioCtx, "recorder-processor", {
     numberOfInputs: 1,
@@ -101,7 +135,7 @@ export async function ensureAudio() {
     if (d.type === "positions" && Array.isArray(d.positions)) {
       const pos = hooks.positionsRef;
       if (pos) {
-        const n = Math.min(3, d.positions.length);
+        const n = Math.min(pos.length, d.positions.length);
         const lock = hooks.dragLockRef;
         for (let i = 0; i < n; i++) {
           if (!lock || !lock[i]) pos[i] = clamp01(d.positions[i]);
@@ -110,7 +144,13 @@ export async function ensureAudio() {
       try { hooks.onPositions?.(); } catch {}
       return;
     }
-    if (d.type === "telemetry") { try { hooks.onTelemetry?.(d.tpDb, d.grDb); } catch {} return; }
+    if (d.type === "telemetry") {
+      const loudness = { momentary: d.lufsM, shortTerm: d.lufsS, integrated: d.lufsI, lra: d.lra };
+      const dsp = { load: d.dspLoad, peak: d.dspPeak, level: d.adaptLevel, grains: d.grains, dropped: d.droppedSpawns };
+      try { hooks.onTelemetry?.(d.tpDb, d.grDb, d.compDb, loudness, dsp); } catch {}
+      return;
+    }
+    if (d.type === "scanEnd")   { try { hooks.onScanEnd?.(d.cursor); } catch {} return; }
     if (d.type === "ready") {
       if (resolveWorkletReady) { resolveWorkletReady(); resolveWorkletReady = null; }
       try { hooks.onReady?.(); } catch {}
@@ -119,10 +159,9 @@ export async function ensureAudio() {
   };
 
   if (hasSAB) {
-    try { initSAB(workletNode, hooks.cursorParamsRef); } catch {}
-  } else {
-    try { hooks.sendAllCursorParams?.(); } catch {}
+    try { initSAB(workletNode, hooks.cursorParamsRef, cursorCount); } catch {}
   }
+  postSessionState(workletNode, { params: !hasSAB });
 
   recorderNode.port.onmessage = (e) => {
     const d = e.data || {};
@@ -8,19 +8,26 @@
 // Check if SharedArrayBuffer is available and cross-origin isolation is enabled
 export const hasSAB = (typeof SharedArrayBuffer === 'function' && self.crossOriginIsolated === true);
 
-export const CURSOR_STRIDE = 15;
-export const TOTAL_PARAMS  = CURSOR_STRIDE * 3;
+export const CURSOR_STRIDE = 66;
+// Sized for the session cursor count (re-created when the count changes)
+export let TOTAL_PARAMS    = CURSOR_STRIDE * 3;
 
 export let sabParams = null;
 export let sabView   = null;
 
+// Observer of parameter writes (timeline capture: SAB writes bypass the port)
+let writeTap = null;
+export function setSabWriteTap(fn) { writeTap = fn; }
+
 // Getter functions for reliable access after init
 export function getSabParams() { return sabParams; }
 export function getSabView()   { return sabView; }
 
 export function writeParamsToSAB(cursorIndex, p){
   if (!sabView) return;
+  if (writeTap) { try { writeTap(cursorIndex, p); } catch {} }
   const base = cursorIndex * CURSOR_STRIDE;
+  if (base + CURSOR_STRIDE > sabView.length) return; // cursor not in this session
   sabView[base + 0]  = p.attack;
   sabView[base + 1]  = p.release;
   sabView[base + 2]  = p.density;
@@ -36,14 +43,64 @@ export function writeParamsToSAB(cursorIndex, p){
   sabView[base +12]  = p.qNorm;
   sabView[base +13]  = p.driveNorm;
   sabView[base +14]  = p.slopeSel;
+  sabView[base +15]  = p.winShape;
+  sabView[base +16]  = p.winAmount;
+  sabView[base +17]  = p.reverseProb;
+  sabView[base +18]  = p.pingPong;
+  sabView[base +19]  = p.schedMode;
+  sabView[base +20]  = p.schedJitter;
+  sabView[base +21]  = p.syncDiv;
+  sabView[base +22]  = p.stepProb;
+  sabView[base +23]  = p.accent;
+  sabView[base +24]  = p.pitchJitter;
+  sabView[base +25]  = p.pitchScale;
+  sabView[base +26]  = p.scaleRoot;
+  sabView[base +27]  = p.scaleMask;
+  sabView[base +28]  = p.panScatter;
+  sabView[base +29]  = p.ampJitter;
+  sabView[base +30]  = p.filterType;
+  sabView[base +31]  = p.peakGainDb;
+  sabView[base +32]  = p.fEnvAttack;
+  sabView[base +33]  = p.fEnvDecay;
+  sabView[base +34]  = p.fEnvSustain;
+  sabView[base +35]  = p.fEnvRelease;
+  sabView[base +36]  = p.fEnvAmount;
+  sabView[base +37]  = p.keyTrack;
+  sabView[base +38]  = p.lfoShape;
+  sabView[base +39]  = p.lfoSync;
+  sabView[base +40]  = p.lfoToPos;
+  sabView[base +41]  = p.lfoToPitch;
+  sabView[base +42]  = p.lfoToPan;
+  sabView[base +43]  = p.lfoToDensity;
+  sabView[base +44]  = p.lfoToSize;
+  sabView[base +45]  = p.lfoToSpread;
+  sabView[base +46]  = p.lfoToGain;
+  sabView[base +47]  = p.ampAttack;
+  sabView[base +48]  = p.ampDecay;
+  sabView[base +49]  = p.ampSustain;
+  sabView[base +50]  = p.ampRelease;
+  sabView[base +51]  = p.voiceCount;
+  sabView[base +52]  = p.voiceSteal;
+  sabView[base +53]  = p.scanMode;
+  sabView[base +54]  = p.loopStart;
+  sabView[base +55]  = p.loopEnd;
+  sabView[base +56]  = p.regionOn;
+  sabView[base +57]  = p.delayTime;
+  sabView[base +58]  = p.delaySync;
+  sabView[base +59]  = p.delayFeedback;
+  sabView[base +60]  = p.delayDamp;
+  sabView[base +61]  = p.delayPingPong;
+  sabView[base +62]  = p.delayMix;
+  sabView[base +63]  = p.reverbSend;
+  sabView[base +64]  = p.driveCurve;
+  sabView[base +65]  = p.driveOversample;
 }
 
-export function initSAB(workletNode, cursorParams){
+export function initSAB(workletNode, cursorParams, cursorCount = 3){
   if (!hasSAB) return;
+  TOTAL_PARAMS = CURSOR_STRIDE * cursorCount;
   sabParams = new SharedArrayBuffer(Float32Array.BYTES_PER_ELEMENT * TOTAL_PARAMS);
   sabView   = new Float32Array(sabParams);
-  writeParamsToSAB(0, cursorParams[0]);
-  writeParamsToSAB(1, cursorParams[1]);
-  writeParamsToSAB(2, cursorParams[2]);
+  for (let i = 0; i < cursorCount; i++) writeParamsToSAB(i, cursorParams[i]);
   try { workletNode?.port.postMessage({ type: "setParamSAB", sab: sabParams, stride: CURSOR_STRIDE }); } catch {}
 }
@@ -11,7 +11,7 @@
  * - R: Recording toggle
  * - I: Info overlay HOLD (disables metering while visible)
  * - P: Per-cursor HOLD toggle (debounced on keyup)
- * - Q/Shift+Q: Switch active cursor (next/previous)
+ * - Q/Shift+Q: Switch active cursor (next/previous, wraps at the session cursor count)
  * - Backspace: Reset (immediate on keydown)
  * - Arrow keys: Navigate/adjust parameters
  * - Number keys 1-0: Select parameter knobs
@@ -22,6 +22,7 @@ export function initGranularHotkeys({
   getRecSwitchInput,
   setActiveCursor,
   getActiveCursor,
+  getCursorCount = () => 3,
   positionsRef,
   sendPositions,
   redrawWaveform,
@@ -402,7 +403,8 @@ export function initGranularHotkeys({
       e.preventDefault();
       const dir  = e.shiftKey ? -1 : +1;
       const cur  = typeof getActiveCursor === 'function' ? getActiveCursor() : 0;
-      const next = (cur + dir + 3) % 3;
+      const n    = Math.max(1, getCursorCount() | 0);
+      const next = (cur + dir + n) % n;
       setActiveCursor?.(next);
       return;
     }
@@ -10,8 +10,8 @@ import { restoreTransportGain, isPlaying } from '../engine/transport.js';
 import { initPianoKeyboard } from '../piano-keyboard.js';
 
 import { hasSAB, getSabView, writeParamsToSAB } from '../engine/sab.js';
-import { cursorParams, pitchBaselineSemis, pitchKnobSemis, commitPitch, commitPitchAll } from '../state/params.js';
-import { getActiveCursor } from '../state/cursors.js';
+import { cursorParams, pitchBaselineSemis, pitchKnobSemis, commitPitch, commitPitchAll, MAX_CURSORS } from '../state/params.js';
+import { getActiveCursor, getCursorCount } from '../state/cursors.js';
 import { holdState } from '../state/hold.js';
 
 const SOLO_MODE = false;
@@ -25,12 +25,14 @@ export function setKeyboardHooks(partial = {}) { Object.assign(keyboardHooks, pa
 // Keyboard/MIDI session state
 const kbState = {
   heldAll: 0,
-  heldByCursor: [0,0,0],
+  heldByCursor: new Array(MAX_CURSORS).fill(0),
   muteApplied: false,
-  muted: [false,false,false],
-  savedGain: [null,null,null]
+  muted: new Array(MAX_CURSORS).fill(false),
+  savedGain: new Array(MAX_CURSORS).fill(null)
 };
 
+const heldSingleTotal = () => kbState.heldByCursor.reduce((a, n) => a + n, 0);
+
 async function ensureAudibleForKb(){
   await ensureAudio();
   const audioCtx = getAudioCtx();
@@ -52,7 +54,7 @@ function applyKbMuteIfNeeded(targetCursor){
   if (kbState.heldAll > 0) return;
   if (kbState.muteApplied) return;
 
-  for (let i = 0; i < 3; i++){
+  for (let i = 0; i < getCursorCount(); i++){
     if (i === targetCursor) continue;
     kbState.savedGain[i] = cursorParams[i].gain;
     setCursorGain(i, 0);
@@ -64,7 +66,7 @@ function applyKbMuteIfNeeded(targetCursor){
 export function clearKbMute(){
   if (!SOLO_MODE) return;
   if (!kbState.muteApplied) return;
-  for (let i = 0; i < 3; i++){
+  for (let i = 0; i < MAX_CURSORS; i++){
     if (kbState.muted[i]) {
       const g = (kbState.savedGain[i] != null) ? kbState.savedGain[i] : cursorParams[i].gain;
       setCursorGain(i, g);
@@ -79,9 +81,9 @@ function reapplySingleMuteIfEligible(){
   if (!SOLO_MODE) { return; }
   if (isPlaying) { clearKbMute(); return; }
   if (kbState.heldAll > 0) { clearKbMute(); return; }
-  const totalSingle = kbState.heldByCursor[0] + kbState.heldByCursor[1] + kbState.heldByCursor[2];
-  if (totalSingle === 0) { clearKbMute(); return; }
-  const cursorsWithHolds = [0,1,2].filter(i => kbState.heldByCursor[i] > 0);
+  if (heldSingleTotal() === 0) { clearKbMute(); return; }
+  const cursorsWithHolds = [];
+  for (let i = 0; i < MAX_CURSORS; i++) if (kbState.heldByCursor[i] > 0) cursorsWithHolds.push(i);
   if (cursorsWithHolds.length === 1) {
     applyKbMuteIfNeeded(cursorsWithHolds[0]);
   } else {
@@ -90,11 +92,12 @@ function reapplySingleMuteIfEligible(){
 }
 
 // Shared helpers: used by both QWERTY keyboard and MIDI controller
-async function kbNoteOnSingle(cursorIdx, semis) {
+// velocity: 0..1 (QWERTY keyboard plays at full velocity)
+async function kbNoteOnSingle(cursorIdx, semis, velocity = 1) {
   await ensureAudibleForKb();
   kbState.heldByCursor[cursorIdx] = Math.max(0, kbState.heldByCursor[cursorIdx] + 1);
   applyKbMuteIfNeeded(cursorIdx); // (no-op se SOLO_MODE=false)
-  try { getWorkletNode()?.port.postMessage({ type:'noteOn', cursor: cursorIdx, semis }); } catch {}
+  try { getWorkletNode()?.port.postMessage({ type:'noteOn', cursor: cursorIdx, semis, velocity }); } catch {}
 }
 
 function kbNoteOffSingle(cursorIdx, semis) {
@@ -105,16 +108,15 @@ function kbNoteOffSingle(cursorIdx, semis) {
     try { getWorkletNode()?.port.postMessage({ type:'noteOff', cursor: cursorIdx, semis }); } catch {}
   }
 
-  const total = kbState.heldByCursor[0] + kbState.heldByCursor[1] + kbState.heldByCursor[2];
-  if (kbState.heldAll === 0 && total === 0) clearKbMute();
+  if (kbState.heldAll === 0 && heldSingleTotal() === 0) clearKbMute();
   else reapplySingleMuteIfEligible();
 }
 
-async function kbNoteOnAll(semis) {
+async function kbNoteOnAll(semis, velocity = 1) {
   await ensureAudibleForKb();
   kbState.heldAll++;
   clearKbMute();
-  try { getWorkletNode()?.port.postMessage({ type:'noteOnAll', semis }); } catch {}
+  try { getWorkletNode()?.port.postMessage({ type:'noteOnAll', semis, velocity }); } catch {}
 }
 
 function kbNoteOffAll(semis) {
@@ -126,6 +128,7 @@ function kbNoteOffAll(semis) {
 export function initKbModule(){
   initPianoKeyboard({
     getActiveCursor: () => getActiveCursor(),
+    getCursorCount:  () => getCursorCount(),
     noteOn: kbNoteOnSingle,
     noteOff: kbNoteOffSingle,
     noteOnAll: kbNoteOnAll,
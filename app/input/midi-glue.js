@@ -6,8 +6,9 @@
  */
 
 import { initMidiController } from '../midi-controller.js';
-import { getActiveCursor } from '../state/cursors.js';
+import { getActiveCursor, getCursorCount } from '../state/cursors.js';
 import { kbNoteOnSingle, kbNoteOffSingle, kbNoteOnAll, kbNoteOffAll } from './keyboard-glue.js';
+import { getWorkletNode } from '../engine/audio-engine.js';
 
 let midiCtrl = null;
 
@@ -15,10 +16,14 @@ export function initMidiModule() {
   try {
     midiCtrl = initMidiController({
       getActiveCursor: () => getActiveCursor(),
+      getCursorCount:  () => getCursorCount(),
       noteOn: kbNoteOnSingle,
       noteOff: kbNoteOffSingle,
       noteOnAll: kbNoteOnAll,
       noteOffAll: kbNoteOffAll,
+      // Continuous controllers feed the modulation matrix sources
+      onModWheel:   (v) => { try { getWorkletNode()?.port.postMessage({ type: 'setModController', modWheel: v }); } catch {} },
+      onAftertouch: (v) => { try { getWorkletNode()?.port.postMessage({ type: 'setModController', aftertouch: v }); } catch {} },
       onStatusChange: (status, detail) => {
         // console.log('[MIDI]', status, detail);
       },
@@ -15,13 +15,14 @@
 //     C4 (MIDI 60) = 0 semitones
 //     semis = midiNote - 60
 // - Routes to your main thread callbacks:
-//     noteOn(cursorIdx, semis)
+//     noteOn(cursorIdx, semis, velocity01)
 //     noteOff(cursorIdx, semis)
-//     (optional) noteOnAll(semis), noteOffAll(semis)
+//     (optional) noteOnAll(semis, velocity01), noteOffAll(semis)
+//     (optional) onModWheel(value01), onAftertouch(value01)
 // - By default:
 //     - Uses ONLY the keyboard (channel 1) of the MiniLab 3
 //       ignores pads on channel 10
-//     - Plays on the active cursor (A/B/C) like the QWERTY keyboard
+//     - Plays on the active cursor (A/B/C…) like the QWERTY keyboard
 // - No side effects on DSP: this is input only.
 //
 // USAGE (in your main script):
@@ -29,11 +30,14 @@
 // import { initMidiController } from './ui/midi-controller.js';
 //
 // const midi = initMidiController({
-//   getActiveCursor,                    // () => 0|1|2
+//   getActiveCursor,                    // () => 0..count-1
+//   getCursorCount,                     // () => number (optional, default 3)
 //   noteOn:     (cursor, semis) => { /* send kbNoteOn to worklet */ },
 //   noteOff:    (cursor, semis) => { /* send kbNoteOff to worklet */ },
 //   noteOnAll:  (semis) => { /* optional */ },
 //   noteOffAll: (semis) => { /* optional */ },
+//   onModWheel:   (v) => { /* optional, CC1 0..1 */ },
+//   onAftertouch: (v) => { /* optional, channel/poly pressure 0..1 */ },
 //   onStatusChange: (status, detail) => {
 //     // e.g., update a label "MIDI: connected/disconnected"
 //     // status: 'no-webmidi' | 'requesting' | 'ready' | 'ready-no-input'
@@ -60,10 +64,15 @@ export function initMidiController(options = {}) {
 
   const {
     getActiveCursor = () => 0,
+    // Session cursor count (ALL mode emulation and cursor clamping)
+    getCursorCount = () => 3,
     noteOn,
     noteOff,
     noteOnAll,
     noteOffAll,
+    // Optional continuous controllers (normalized 0..1)
+    onModWheel,
+    onAftertouch,
     // If true: MIDI notes play on ALL cursors (via noteOnAll / emulation)
     playAllCursors = false,
     // Optional callback for status updates (UI)
@@ -97,7 +106,8 @@ export function initMidiController(options = {}) {
     let n = (i | 0);
     if (!Number.isFinite(n)) n = 0;
     if (n < 0) n = 0;
-    if (n > 2) n = 2;
+    const max = Math.max(1, getCursorCount() | 0) - 1;
+    if (n > max) n = max;
     return n;
   };
 
@@ -130,15 +140,15 @@ export function initMidiController(options = {}) {
 
   // ------- send notes to your engine -------
 
-  function allOn(semis) {
+  function allOn(semis, velocity = 1) {
     if (!Number.isFinite(semis)) return;
     if (typeof noteOnAll === 'function') {
-      try { noteOnAll(semis); } catch (err) { emitError(err); }
+      try { noteOnAll(semis, velocity); } catch (err) { emitError(err); }
       return;
     }
     if (typeof noteOn === 'function') {
-      for (let c = 0; c < 3; c++) {
-        try { noteOn(c, semis); } catch (err) { emitError(err); }
+      for (let c = 0, n = getCursorCount(); c < n; c++) {
+        try { noteOn(c, semis, velocity); } catch (err) { emitError(err); }
       }
     }
   }
@@ -150,16 +160,21 @@ export function initMidiController(options = {}) {
       return;
     }
     if (typeof noteOff === 'function') {
-      for (let c = 0; c < 3; c++) {
+      for (let c = 0, n = getCursorCount(); c < n; c++) {
         try { noteOff(c, semis); } catch (err) { emitError(err); }
       }
     }
   }
 
-  function singleOn(cursor, semis) {
+  function singleOn(cursor, semis, velocity = 1) {
     if (!Number.isFinite(semis)) return;
     if (typeof noteOn !== 'function') return;
-    try { noteOn(cursor, semis); } catch (err) { emitError(err); }
+    try { noteOn(cursor, semis, velocity); } catch (err) { emitError(err); }
+  }
+
+  function emitControl(fn, value7) {
+    if (typeof fn !== 'function') return;
+    try { fn(Math.max(0, Math.min(127, value7 | 0)) / 127); } catch (err) { emitError(err); }
   }
 
   function singleOff(cursor, semis) {
@@ -184,14 +199,15 @@ export function initMidiController(options = {}) {
     }
 
     const semis = midiNote - 60; // C4 (60) = 0
+    const vel01 = Math.max(0, Math.min(127, velocity | 0)) / 127;
     const mode = state.playAll ? 'all' : 'single';
     let cursor = null;
 
     if (mode === 'all') {
-      allOn(semis);
+      allOn(semis, vel01);
     } else {
       cursor = safeGetActiveCursor();
-      singleOn(cursor, semis);
+      singleOn(cursor, semis, vel01);
     }
 
     state.notes.set(key, {
@@ -248,8 +264,17 @@ export function initMidiController(options = {}) {
       case 0x80: // Note Off
         handleNoteOff(channel, data1, data2);
         break;
+      case 0xB0: // Control Change (CC1 = mod wheel)
+        if (data1 === 1) emitControl(onModWheel, data2);
+        break;
+      case 0xD0: // Channel pressure (value in data1)
+        emitControl(onAftertouch, data1);
+        break;
+      case 0xA0: // Polyphonic key pressure (treated as channel-wide)
+        emitControl(onAftertouch, data2);
+        break;
       default:
-        // Future: could handle pitch-bend, mod wheel, CC, etc.
+        // Future: could handle pitch-bend, other CCs, etc.
         break;
     }
   }
@@ -10,7 +10,7 @@
 //
 // 1) NEW (recommended): uses noteOn/noteOff callbacks to the worklet
 //    - without Alt: plays ONLY the active cursor
-//    - with Alt:    plays ALL cursors (A+B+C)
+//    - with Alt:    plays ALL cursors (A+B+C…)
 //    - if you press Alt WHILE holding a key, that key switches live to "all"
 //      (now atomic: OFF single -> ON all, no double notes)
 //    - if you RELEASE Alt WHILE holding a key, that key returns to "single"
@@ -22,7 +22,8 @@
 // API:
 // initPianoKeyboard({
 //   // --- NEW API (piano) ---
-//   getActiveCursor: () => 0|1|2,
+//   getActiveCursor: () => 0..count-1,
+//   getCursorCount?: () => number,   // session cursor count (default 3)
 //   noteOn:      (cursorIdx, semis) => void,
 //   noteOff:     (cursorIdx, semis) => void,
 //   noteOnAll:   (semis) => void,
@@ -32,8 +33,8 @@
 //   pitchKnobEl?: HTMLInputElement,
 //
 //   // --- FALLBACK legacy (baseline anchoring) ---
-//   baselineSemis?: number[3],
-//   knobSemis?: number[3],
+//   baselineSemis?: number[],
+//   knobSemis?: number[],
 //   commitPitch?: (idx:number)=>void,
 //   commitPitchAll?: ()=>void
 // })
@@ -46,6 +47,7 @@ export function initPianoKeyboard(opts = {}) {
   // --- new options ---
   const {
     getActiveCursor,
+    getCursorCount = () => 3,
     noteOn, noteOff,
     noteOnAll, noteOffAll,
     onOctaveChange = null,
@@ -124,7 +126,7 @@ export function initPianoKeyboard(opts = {}) {
   function fallbackApplyAnchor(semisTarget, toAll) {
     if (!baselineSemis || !knobSemis || !commitPitch) return;
     if (toAll) {
-      for (let i = 0; i < 3; i++) {
+      for (let i = 0; i < getCursorCount(); i++) {
         baselineSemis[i] = semisTarget - (knobSemis[i] || 0);
         commitPitch(i);
       }
@@ -138,10 +140,10 @@ export function initPianoKeyboard(opts = {}) {
 
   // --- Helper to emulate "ALL" if noteOnAll/noteOffAll don't exist ---
   function emulateAllOn(semis) {
-    if (typeof noteOn === 'function') for (let i = 0; i < 3; i++) noteOn(i, semis);
+    if (typeof noteOn === 'function') for (let i = 0; i < getCursorCount(); i++) noteOn(i, semis);
   }
   function emulateAllOff(semis) {
-    if (typeof noteOff === 'function') for (let i = 0; i < 3; i++) noteOff(i, semis);
+    if (typeof noteOff === 'function') for (let i = 0; i < getCursorCount(); i++) noteOff(i, semis);
   }
 
   // ====== Event Handlers ======
@@ -1,7 +1,7 @@
 /**
  * @file safe.js
  * @description Safe/default preset values for the granular synthesizer.
- *              Applies conservative, neutral parameter values to all three cursors.
+ *              Applies conservative, neutral parameter values to every active cursor.
  *              Used as a fallback or reset preset to ensure stable audio output.
  */
 
@@ -11,8 +11,9 @@
 
 import { hasSAB, getSabView, writeParamsToSAB } from '../engine/sab.js';
 import { getWorkletNode } from '../engine/audio-engine.js';
-import { setActiveCursor } from '../state/cursors.js';
+import { setActiveCursor, getCursorCount } from '../state/cursors.js';
 import { cursorParams } from '../state/params.js';
+import { resetModMatrix } from '../state/modmatrix.js';
 
 export function applyPresetSAFE() {
   const set = (id, v) => {
@@ -25,62 +26,80 @@ export function applyPresetSAFE() {
 
   try { window.MasterFader?.setDb?.(-2); } catch {}
 
-  // A
-  setActiveCursor(0);
-  set("grainSizeRange",     1.00);
-  set("attackRange",        0.5);
-  set("releaseRange",       0.5);
-  set("densityRange",       30);
-  set("spreadRange",        0.1);
-  set("panRange",           0);
-  set("pitchRange",         0);
-  set("filterCutoffRange",  5000);
-  set("filterQRange",       0.20);
-  set("filterDriveRange",   0.00);
-  set("filterSlopeSelect",  0);
-  set("lfoFreqRange",       1);
-  set("lfoDepthRange",      0.2);
-  set("scanSpeedRange",     0.00);
-  set("gainRange",          0);
-  if (hasSAB && getSabView()) writeParamsToSAB(0, cursorParams[0]); else try { getWorkletNode()?.port.postMessage({ type:"setParamsFor", cursor:0, params:cursorParams[0] }); } catch {}
-
-  // B
-  setActiveCursor(1);
-  set("grainSizeRange",     1.00);
-  set("attackRange",        0.5);
-  set("releaseRange",       0.5);
-  set("densityRange",       30);
-  set("spreadRange",        0.1);
-  set("panRange",           0);
-  set("pitchRange",         0);
-  set("filterCutoffRange",  5000);
-  set("filterQRange",       0.20);
-  set("filterDriveRange",   0.00);
-  set("filterSlopeSelect",  0);
-  set("lfoFreqRange",       1);
-  set("lfoDepthRange",      0.2);
-  set("scanSpeedRange",     0.00);
-  set("gainRange",          0);
-  if (hasSAB && getSabView()) writeParamsToSAB(1, cursorParams[1]); else try { getWorkletNode()?.port.postMessage({ type:"setParamsFor", cursor:1, params:cursorParams[1] }); } catch {}
+  // Same neutral values on every cursor of the session
+  for (let c = 0; c < getCursorCount(); c++) {
+    setActiveCursor(c);
+    set("grainSizeRange",     1.00);
+    set("attackRange",        0.5);
+    set("releaseRange",       0.5);
+    set("densityRange",       30);
+    set("spreadRange",        0.1);
+    set("panRange",           0);
+    set("pitchRange",         0);
+    set("filterCutoffRange",  5000);
+    set("filterQRange",       0.20);
+    set("filterDriveRange",   0.00);
+    set("filterSlopeSelect",  0);
+    set("filterTypeSelect",   0);
+    set("driveCurveSelect",   0);
+    set("driveOversampleSelect", 2);
+    set("peakGainRange",      0);
+    set("fEnvAttackRange",    0.01);
+    set("fEnvDecayRange",     0.3);
+    set("fEnvSustainRange",   0);
+    set("fEnvReleaseRange",   0.3);
+    set("fEnvAmountRange",    0);
+    set("keyTrackRange",      0);
+    set("lfoShapeSelect",     0);
+    set("lfoSyncSelect",      0);
+    set("lfoToPosRange",      0);
+    set("lfoToPitchRange",    0);
+    set("lfoToPanRange",      0);
+    set("lfoToDensityRange",  0);
+    set("lfoToSizeRange",     0);
+    set("lfoToSpreadRange",   0);
+    set("lfoToGainRange",     0);
+    set("ampAttackRange",     0.005);
+    set("ampDecayRange",      0.1);
+    set("ampSustainRange",    1);
+    set("ampReleaseRange",    0.3);
+    set("voiceCountRange",    8);
+    set("voiceStealSelect",   0);
+    set("lfoFreqRange",       1);
+    set("lfoDepthRange",      0.2);
+    set("scanSpeedRange",     0.00);
+    set("scanModeSelect",     0);
+    set("loopStartRange",     0);
+    set("loopEndRange",       1);
+    set("regionSelect",       0);
+    set("delayTimeRange",     350);
+    set("delaySyncSelect",    0);
+    set("delayFeedbackRange", 0.35);
+    set("delayDampRange",     0.3);
+    set("delayModeSelect",    0);
+    set("delayMixRange",      0);
+    set("reverbSendRange",    0);
+    set("gainRange",          0);
+    set("winShapeSelect",     0);
+    set("winAmountRange",     0.5);
+    set("reverseProbRange",   0);
+    set("pingPongSelect",     0);
+    set("schedModeSelect",    0);
+    set("schedJitterRange",   0.2);
+    set("syncDivSelect",      0);
+    set("stepProbRange",      1);
+    set("accentRange",        0);
+    set("pitchJitterRange",   0);
+    set("pitchScaleSelect",   0);
+    set("scaleRootSelect",    0);
+    set("scaleIntervalsInput", "0 2 4 5 7 9 11");
+    set("panScatterRange",    0);
+    set("ampJitterRange",     0);
+    if (hasSAB && getSabView()) writeParamsToSAB(c, cursorParams[c]); else try { getWorkletNode()?.port.postMessage({ type:"setParamsFor", cursor:c, params:cursorParams[c] }); } catch {}
+  }
 
-  // C
-  setActiveCursor(2);
-  set("grainSizeRange",     1.00);
-  set("attackRange",        0.5);
-  set("releaseRange",       0.5);
-  set("densityRange",       30);
-  set("spreadRange",        0.1);
-  set("panRange",           0);
-  set("pitchRange",         0);
-  set("filterCutoffRange",  5000);
-  set("filterQRange",       0.20);
-  set("filterDriveRange",   0.00);
-  set("filterSlopeSelect",  0);
-  set("lfoFreqRange",       1);
-  set("lfoDepthRange",      0.2);
-  set("scanSpeedRange",     0.00);
-  set("gainRange",          0);
-  if (hasSAB && getSabView()) writeParamsToSAB(2, cursorParams[2]); else try { getWorkletNode()?.port.postMessage({ type:"setParamsFor", cursor:2, params:cursorParams[2] }); } catch {}
+  // No modulation routing
+  resetModMatrix();
 
   setActiveCursor(0);
 }
@@ -0,0 +1,93 @@
+/**
+ * @file snapshot.js
+ * @description Preset snapshots for the granular synthesizer.
+ *              Captures the cursor count, the full per-cursor state (parameters, pitch
+ *              knob, modulation matrix) and the random seed as plain JSON, applies it
+ *              back, and saves/loads preset files.
+ */
+
+import { hasSAB, getSabView, writeParamsToSAB } from '../engine/sab.js';
+import { cursorParams, pitchKnobSemis, commitPitch, NOMINAL } from '../state/params.js';
+import { getActiveCursor, getCursorCount, setCursorCount, applyCursorToUI, sendAllCursorParams } from '../state/cursors.js';
+import { serializeModMatrix, loadModMatrix } from '../state/modmatrix.js';
+import { seedSettings, setSeed } from '../state/seed.js';
+
+export const PRESET_VERSION = 1;
+
+export function capturePreset() {
+  return {
+    version: PRESET_VERSION,
+    cursorCount: getCursorCount(),
+    cursors: cursorParams.slice(0, getCursorCount()).map((p, i) => ({ ...p, pitchKnobSemis: pitchKnobSemis[i] || 0 })),
+    modMatrix: serializeModMatrix(),
+    seed: seedSettings.seed
+  };
+}
+
+export function applyPreset(preset) {
+  if (!preset || typeof preset !== "object") return false;
+  const cursors = Array.isArray(preset.cursors) ? preset.cursors : [];
+
+  // Older presets carry no count: they describe one cursor per entry (A/B/C)
+  const count = Number.isFinite(preset.cursorCount) ? preset.cursorCount : cursors.length;
+  if (count > 0) setCursorCount(count);
+
+  for (let i = 0; i < getCursorCount(); i++) {
+    const src = cursors[i];
+    if (!src) continue;
+    // Only known parameter keys are taken over (unknown keys from other versions are ignored)
+    for (const k of Object.keys(NOMINAL)) {
+      if (Number.isFinite(src[k])) cursorParams[i][k] = src[k];
+    }
+    // Pitch lives in the knob (relative semitones on top of the keyboard baseline)
+    if (Number.isFinite(src.pitchKnobSemis)) pitchKnobSemis[i] = src.pitchKnobSemis;
+    commitPitch(i);
+    if (hasSAB && getSabView()) writeParamsToSAB(i, cursorParams[i]);
+  }
+  if (!(hasSAB && getSabView())) sendAllCursorParams();
+
+  loadModMatrix(preset.modMatrix);
+  // Older presets carry no seed: the session seed is kept
+  if (Number.isFinite(preset.seed)) setSeed(preset.seed);
+  applyCursorToUI(getActiveCursor());
+  return true;
+}
+
+// ---------- File save/load ----------
+export function savePresetFile(name = "poli-granulator-preset") {
+  const blob = new Blob([JSON.stringify(capturePreset(), null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = `${name}.json`;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function loadPresetFile(file) {
+  if (!file) return false;
+  try {
+    return applyPreset(JSON.parse(await file.text()));
+  } catch (err) {
+    console.warn('[preset] load error:', err);
+    return false;
+  }
+}
+
+export function initPresetControls() {
+  const saveBtn = document.getElementById("presetSaveBtn");
+  const loadBtn = document.getElementById("presetLoadBtn");
+  const fileIn  = document.getElementById("presetFileInput");
+
+  if (saveBtn && !saveBtn.__presetBound) {
+    saveBtn.__presetBound = true;
+    saveBtn.addEventListener("click", () => savePresetFile());
+  }
+  if (loadBtn && fileIn && !loadBtn.__presetBound) {
+    loadBtn.__presetBound = true;
+    loadBtn.addEventListener("click", () => fileIn.click());
+    fileIn.addEventListener("change", async () => {
+      await loadPresetFile(fileIn.files?.[0]);
+      fileIn.value = "";
+    });
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * @file bounce-session.js
+ * @description Offline bounce: renders the session faster than real time in an
+ *              OfflineAudioContext and downloads it as a WAV file.
+ *              The granular processor starts from the loaded sample and the current
+ *              parameters, positions and session settings (or from a captured
+ *              timeline, whose events are replayed at their sample positions).
+ *              Play runs for the chosen length, then stops and held notes are
+ *              released while the tail (grain release, delay, reverb) is rendered.
+ *              The master fader level is applied as in the real-time recorder;
+ *              adaptive quality stays off (there is no real-time budget offline).
+ * @module app/session/bounce-session
+ */
+
+import { getAudioCtx, getMasterGain } from '../engine/audio-engine.js';
+import { getAudioBuffer, sendBuffer } from './buffer-session.js';
+import { downloadBlob } from './recorder-session.js';
+import { getTimeline, isCapturing, sessionSnapshot, startTimelineCapture, stopTimelineCapture } from './timeline-session.js';
+import { getCursorCount } from '../state/cursors.js';
+import { MAX_CURSORS } from '../state/params.js';
+
+const $ = (id) => document.getElementById(id);
+
+const BOUNCE_MAX_SECONDS = 1200;
+const TAIL_MAX_SECONDS = 30;
+const PROGRESS_STEP_SEC = 5;      // render is suspended this often to report progress
+
+export const bounceSettings = { seconds: 60, tail: 5, bits: 24, events: 0 };
+
+let job = null;   // { cancel } while rendering
+
+export function isBouncing(){ return !!job; }
+
+export function cancelBounce() {
+  job?.cancel();
+}
+
+const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+const collector = (list) => ({ port: { postMessage: (m) => list.push(m) } });
+
+/**
+ * Render the session offline and download it as WAV.
+ * @param {object} [opts] overrides of bounceSettings, plus onProgress(fraction)
+ * @returns {Promise<{file:string, seconds:number, renderSeconds:number}|null>} null if cancelled
+ */
+export async function bounceToWav(opts = {}) {
+  if (job) return null;
+  if (!getAudioBuffer()) throw new Error("no sample loaded");
+  const { seconds, tail, bits, events, onProgress } = { ...bounceSettings, ...opts };
+
+  const sr = getAudioCtx()?.sampleRate || 48000;
+  const playFrames = Math.round(clamp(Number(seconds) || 0, 1, BOUNCE_MAX_SECONDS) * sr);
+  const total = playFrames + Math.round(clamp(Number(tail) || 0, 0, TAIL_MAX_SECONDS) * sr);
+  const tl = events ? getTimeline() : null;
+
+  // Starting state: sample, then the captured snapshot or the current session
+  const init = [];
+  sendBuffer(collector(init));
+  if (tl) init.push(...tl.start);
+  else init.push(...sessionSnapshot(), { type: "setPlaying", value: true });
+  init.push({ type: "setAdaptiveQuality", enabled: false });
+
+  // Captured events inside the length, then stop + release every held note
+  const timeline = [];
+  for (const e of tl ? tl.events : []) {
+    const frame = Math.round(e.t * sr);
+    if (frame >= playFrames) break;
+    if (e.msg.type !== "setAdaptiveQuality") timeline.push({ frame, msg: e.msg });
+  }
+  timeline.push({ frame: playFrames, msg: { type: "setPlaying", value: false } });
+  for (let c = 0; c < MAX_CURSORS; c++) timeline.push({ frame: playFrames, msg: { type: "clearKbNotes", cursor: c } });
+
+  // Cancelling stops the processor at the next suspend point (silent, idle
+  // blocks) and lets the render run out: an offline context left suspended is
+  // never released. The result is then discarded.
+  let cancelled = false, aborted = false;
+  job = { cancel: () => { cancelled = true; } };
+
+  const t0 = performance.now();
+  try {
+    const ctx = new OfflineAudioContext({ numberOfChannels: 2, length: total, sampleRate: sr });
+    await ctx.audioWorklet.addModule("worklet/granular-processor.js");
+    if (cancelled) return null;
+    const node = new AudioWorkletNode(ctx, "granular-processor-pro", {
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      processorOptions: { sampleRate: sr, useSAB: false, cursorCount: getCursorCount(), offline: { init, timeline } }
+    });
+    const out = ctx.createGain();
+    out.gain.value = getMasterGain()?.gain.value ?? 1;
+    node.connect(out);
+    out.connect(ctx.destination);
+
+    // Suspend points: report progress or, once cancelled, stop the processor; then continue
+    const step = Math.round(PROGRESS_STEP_SEC * sr);
+    for (let f = step; f < total; f += step) {
+      ctx.suspend(f / sr).then(() => {
+        if (!cancelled) { try { onProgress?.(f / total); } catch {} }
+        else if (!aborted) { aborted = true; try { node.port.postMessage({ type: "abortRender" }); } catch {} }
+        ctx.resume();
+      }).catch(() => {});
+    }
+
+    const rendered = await ctx.startRendering();
+    if (cancelled) return null;
+    try { onProgress?.(1); } catch {}
+
+    const blob = encodeWav(rendered.getChannelData(0), rendered.getChannelData(1), sr, bits);
+    const ts = new Date().toISOString().replace(/[:.]/g,'-');
+    const file = `granular-bounce-${ts}.wav`;
+    downloadBlob(blob, file);
+    return { file, seconds: total / sr, renderSeconds: (performance.now() - t0) / 1000 };
+  } finally {
+    job = null;
+  }
+}
+
+/**
+ * Stereo WAV (16/24-bit PCM or 32-bit float).
+ * @param {Float32Array} L
+ * @param {Float32Array} R
+ * @param {number} sampleRate
+ * @param {number} bits 16, 24 or 32 (float)
+ * @returns {Blob}
+ */
+function encodeWav(L, R, sampleRate, bits = 24) {
+  const float = bits === 32;
+  const bytes = float ? 4 : (bits === 16 ? 2 : 3);
+  const n = L.length;
+  const dataSize = n * 2 * bytes;
+  const buf = new ArrayBuffer(44 + dataSize);
+  const v = new DataView(buf);
+  const str = (o, s) => { for (let i = 0; i < s.length; i++) v.setUint8(o + i, s.charCodeAt(i)); };
+
+  str(0, "RIFF"); v.setUint32(4, 36 + dataSize, true); str(8, "WAVE");
+  str(12, "fmt "); v.setUint32(16, 16, true);
+  v.setUint16(20, float ? 3 : 1, true);          // 3 = IEEE float, 1 = PCM
+  v.setUint16(22, 2, true);
+  v.setUint32(24, sampleRate, true);
+  v.setUint32(28, sampleRate * 2 * bytes, true);
+  v.setUint16(32, 2 * bytes, true);
+  v.setUint16(34, bytes * 8, true);
+  str(36, "data"); v.setUint32(40, dataSize, true);
+
+  let o = 44;
+  const put = (x) => {
+    if (float) { v.setFloat32(o, x, true); o += 4; return; }
+    const s = x > 1 ? 1 : (x < -1 ? -1 : (x || 0));
+    if (bytes === 2) {
+      v.setInt16(o, Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF), true);
+    } else {
+      const q = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+      v.setUint8(o, q & 0xFF); v.setUint8(o + 1, (q >> 8) & 0xFF); v.setUint8(o + 2, (q >> 16) & 0xFF);
+    }
+    o += bytes;
+  };
+  for (let i = 0; i < n; i++) { put(L[i]); put(R[i]); }
+  return new Blob([buf], { type: 'audio/wav' });
+}
+
+function formatSeconds(sec) {
+  const s = Math.round(sec);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export function initBounceControls() {
+  const lenEl     = $("bounceLengthInput");
+  const tailEl    = $("bounceTailInput");
+  const fmtEl     = $("bounceFormatSelect");
+  const eventsEl  = $("bounceEventsSelect");
+  const captureEl = $("bounceCaptureBtn");
+  const renderEl  = $("bounceRenderBtn");
+  const tlOut     = $("bounceTimelineValue");
+  const statusOut = $("bounceStatusValue");
+
+  const bindNumber = (el, key, lo, hi) => {
+    if (!el || el.__bounceBound) return;
+    el.__bounceBound = true;
+    el.value = String(bounceSettings[key]);
+    el.addEventListener("change", () => {
+      const v = parseFloat(el.value);
+      bounceSettings[key] = Number.isFinite(v) ? clamp(v, lo, hi) : bounceSettings[key];
+      el.value = String(bounceSettings[key]);
+    });
+  };
+  bindNumber(lenEl, "seconds", 1, BOUNCE_MAX_SECONDS);
+  bindNumber(tailEl, "tail", 0, TAIL_MAX_SECONDS);
+
+  for (const [el, key] of [[fmtEl, "bits"], [eventsEl, "events"]]) {
+    if (!el || el.__bounceBound) continue;
+    el.__bounceBound = true;
+    el.value = String(bounceSettings[key]);
+    el.addEventListener("change", () => { bounceSettings[key] = parseInt(el.value, 10) || 0; });
+  }
+
+  if (captureEl && !captureEl.__bounceBound) {
+    captureEl.__bounceBound = true;
+    captureEl.addEventListener("click", () => {
+      if (isCapturing()) {
+        const tl = stopTimelineCapture();
+        captureEl.textContent = "Capture";
+        captureEl.classList.remove("is-recording");
+        if (tl) {
+          if (tlOut) tlOut.textContent = `${formatSeconds(tl.seconds)} · ${tl.events.length} ev`;
+          // Bounce what was just played: captured events, captured length
+          bounceSettings.events = 1;
+          bounceSettings.seconds = clamp(Math.ceil(tl.seconds), 1, BOUNCE_MAX_SECONDS);
+          if (eventsEl) eventsEl.value = "1";
+          if (lenEl) lenEl.value = String(bounceSettings.seconds);
+        }
+      } else if (startTimelineCapture()) {
+        captureEl.textContent = "Stop";
+        captureEl.classList.add("is-recording");
+        if (tlOut) tlOut.textContent = "capturing…";
+      } else if (tlOut) {
+        tlOut.textContent = "start audio first";
+      }
+    });
+  }
+
+  if (renderEl && !renderEl.__bounceBound) {
+    renderEl.__bounceBound = true;
+    renderEl.addEventListener("click", async () => {
+      if (isBouncing()) {
+        cancelBounce();
+        if (statusOut) statusOut.textContent = "cancelling…";
+        return;
+      }
+      if (bounceSettings.events && !getTimeline()) {
+        if (statusOut) statusOut.textContent = "no timeline";
+        return;
+      }
+      const show = (t) => { if (statusOut) statusOut.textContent = t; };
+      renderEl.textContent = "Cancel";
+      show("0%");
+      try {
+        const r = await bounceToWav({ onProgress: (f) => show(f < 1 ? `${Math.floor(f * 100)}%` : "encoding…") });
+        show(r ? `${formatSeconds(r.seconds)} in ${r.renderSeconds.toFixed(1)} s` : "cancelled");
+      } catch (err) {
+        console.warn('[bounce] render error:', err);
+        show(String(err?.message || "error"));
+      } finally {
+        renderEl.textContent = "Render";
+      }
+    });
+  }
+}
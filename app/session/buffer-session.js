@@ -43,9 +43,27 @@ export async function useDecodedBuffer(buf) {
 
   await waitForWorkletReady();
 
+  sendBuffer();
+
+  try { rebuildPeaksIfNeeded(); } catch {}
+  try { drawWaveform(audioBuffer); } catch {}
+  requestAnimationFrame(() => { try { drawWaveform(audioBuffer); } catch {} });
+
+  sendAllCursorParams();
+  commitPitchAll();
+  sendPositions();
+  requestWaveformRedraw();
+}
+
+/**
+ * Posts the current sample (all channels) and its loudness map.
+ * @param {{port: MessagePort}} [node] - Target (defaults to the live worklet)
+ */
+export function sendBuffer(node = getWorkletNode()) {
+  if (!audioBuffer) return;
   const chs = extractChannels(audioBuffer); // Array<Float32Array>
   try {
-    getWorkletNode().port.postMessage(
+    node?.port.postMessage(
       {
         type: "setBuffer",
         sampleRate: audioBuffer.sampleRate,
@@ -60,20 +78,11 @@ export async function useDecodedBuffer(buf) {
   const loud = buildLoudnessMap(audioBuffer, 2048);
   const rmsCopy = new Float32Array(loud.rms);
   try {
-    getWorkletNode().port.postMessage(
+    node?.port.postMessage(
       { type: "setLoudnessMap", map: { rms: rmsCopy.buffer, win: loud.win, sr: loud.sr, len: loud.len } },
       [rmsCopy.buffer]
     );
   } catch {}
-
-  try { rebuildPeaksIfNeeded(); } catch {}
-  try { drawWaveform(audioBuffer); } catch {}
-  requestAnimationFrame(() => { try { drawWaveform(audioBuffer); } catch {} });
-
-  sendAllCursorParams();
-  commitPitchAll();
-  sendPositions();
-  requestWaveformRedraw();
 }
 
 /**
@@ -2,24 +2,35 @@
  * @file recorder-session.js
  * @description Audio recording session management for capturing and exporting audio.
  *              Handles start/stop recording, timer display, and MP3 export.
+ *              Each export gets a loudness summary (EBU R128 integrated loudness,
+ *              LRA, true peak), shown in the LOUDNESS panel and, when enabled,
+ *              saved next to the MP3 as JSON.
  * @module app/session/recorder-session
  */
 
 import { ensureAudio, getAudioCtx, getRecorderNode } from '../engine/audio-engine.js';
+import { createLoudnessMeter, processLoudness, loudnessReadout } from '../../worklet/dsp/loudness.js';
+import { truePeak2x, toDb } from '../../worklet/dsp/limiter.js';
 
 let isRecording = false;
 let recChunksL = [];
 let recChunksR = [];
 let recStartTime = 0;
 let recTimerId = null;
+let lastRecLoudness = null;
 
 const REC_MAX_SECONDS = 600;
 
+// loudnessJson: also download the loudness summary as JSON (off by default)
+export const recorderSettings = { loudnessJson: 0 };
+
 export function getIsRecording(){ return isRecording; }
+export function getLastRecordingLoudness(){ return lastRecLoudness; }
 
 // Hook UI (setRecSwitchUI arriva da ui/transport/transport-ui.js)
 const recorderHooks = {
-  setRecSwitchUI: null
+  setRecSwitchUI: null,
+  onRecordingLoudness: null
 };
 export function setRecorderHooks(partial = {}){ Object.assign(recorderHooks, partial); }
 
@@ -46,6 +57,15 @@ function bindRecBtnOnce(){
 bindRecBtnOnce();
 document.addEventListener('DOMContentLoaded', bindRecBtnOnce);
 
+// LOUDNESS panel: JSON export of the recording summary
+export function initRecorderControls() {
+  const el = document.getElementById("lufsJsonSelect");
+  if (!el || el.__recBound) return;
+  el.__recBound = true;
+  el.value = String(recorderSettings.loudnessJson);
+  el.addEventListener("change", () => { recorderSettings.loudnessJson = parseInt(el.value, 10) ? 1 : 0; });
+}
+
 /**
  * Starts audio recording.
  * Initializes the recorder worklet and begins capturing audio chunks.
@@ -77,6 +97,13 @@ export function stopRecordingAndExport() {
   const blob = encodeMp3Stereo(L, R, audioCtx.sampleRate, 192);
   const ts = new Date().toISOString().replace(/[:.]/g,'-');
   downloadBlob(blob, `granular-rec-${ts}.mp3`);
+
+  lastRecLoudness = { file: `granular-rec-${ts}.mp3`, ...measureLoudness(L, R, audioCtx.sampleRate) };
+  if (recorderSettings.loudnessJson) {
+    downloadBlob(new Blob([JSON.stringify(lastRecLoudness, null, 2)], { type: 'application/json' }),
+                 `granular-rec-${ts}.loudness.json`);
+  }
+  try { recorderHooks.onRecordingLoudness?.(lastRecLoudness); } catch {}
   recChunksL = recChunksR = [];
 }
 
@@ -109,6 +136,22 @@ function startRecTimer() {
 }
 function stopRecTimer() { clearInterval(recTimerId); recTimerId = null; }
 
+// EBU R128 summary of the recorded PCM (what ends up in the MP3, before encoding)
+function measureLoudness(L, R, sampleRate) {
+  const m = createLoudnessMeter(sampleRate);
+  processLoudness(m, L, R);
+  const r = loudnessReadout(m);
+  const round1 = (v) => (Number.isFinite(v) ? Math.round(v * 10) / 10 : null);
+  return {
+    integrated: round1(r.integrated),      // LUFS
+    lra: round1(r.lra),                    // LU
+    maxMomentary: round1(r.maxMomentary),  // LUFS
+    maxShortTerm: round1(r.maxShortTerm),  // LUFS
+    truePeakDb: round1(toDb(truePeak2x(L, R))),
+    seconds: round1(r.seconds)
+  };
+}
+
 function floatTo16bitPCM(float32) {
   const out = new Int16Array(float32.length);
   for (let i=0;i<float32.length;i++){
@@ -140,7 +183,7 @@ function encodeMp3Stereo(floatL, floatR, sampleRate, kbps = 128) {
   if (end.length) mp3Data.push(end);
   return new Blob(mp3Data, { type: 'audio/mpeg' });
 }
-function downloadBlob(blob, filename) {
+export function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url; a.download = filename;
@@ -0,0 +1,77 @@
+/**
+ * @file timeline-session.js
+ * @description Event/automation timeline capture for offline bounces.
+ *              While capturing, every message posted to the live worklet (notes,
+ *              parameter and position changes, transport, clock, effects…) and every
+ *              SharedArrayBuffer parameter write is logged with its time from the
+ *              capture start, on top of a snapshot of the session state at that
+ *              moment. A bounce replays the snapshot and the events sample-stamped.
+ *              The sample itself is not part of the timeline (the bounce uses the
+ *              one loaded when it renders), nor are notes already held when the
+ *              capture starts.
+ * @module app/session/timeline-session
+ */
+
+import { getAudioCtx, getWorkletNode, postSessionState, setEngineHooks } from '../engine/audio-engine.js';
+import { setSabWriteTap } from '../engine/sab.js';
+import { isPlaying } from '../engine/transport.js';
+import { getCursorCount, sendPositions } from '../state/cursors.js';
+
+// Messages that are not performance events (buffer transfer, SAB wiring, handshake)
+const SKIP = new Set(["setBuffer", "setLoudnessMap", "setParamSAB", "ping"]);
+
+let capture = null;    // { t0, start, events } while capturing
+let timeline = null;   // last finished capture: { seconds, start, events }
+
+export function isCapturing(){ return !!capture; }
+export function getTimeline(){ return timeline; }
+
+/**
+ * Session state as worklet messages (cursor count, parameters, positions,
+ * clock, effects, quality, seed, modulation, transport), deep-copied.
+ * @returns {object[]}
+ */
+export function sessionSnapshot() {
+  const msgs = [];
+  const collector = { port: { postMessage: (m) => msgs.push(m) } };
+  msgs.push({ type: "setCursorCount", count: getCursorCount() });
+  postSessionState(collector);
+  sendPositions(collector);
+  msgs.push({ type: "setPlaying", value: isPlaying });
+  return structuredClone(msgs);
+}
+
+function now() {
+  return getAudioCtx()?.currentTime ?? performance.now() / 1000;
+}
+
+function record(msg) {
+  if (!capture || !msg || SKIP.has(msg.type)) return;
+  try { capture.events.push({ t: Math.max(0, now() - capture.t0), msg: structuredClone(msg) }); } catch {}
+}
+
+export function startTimelineCapture() {
+  if (capture || !getWorkletNode()) return false;
+  capture = { t0: now(), start: sessionSnapshot(), events: [] };
+  return true;
+}
+
+/**
+ * Ends the capture and keeps it as the current timeline.
+ * @returns {{seconds:number, start:object[], events:{t:number, msg:object}[]}|null}
+ */
+export function stopTimelineCapture() {
+  if (!capture) return timeline;
+  timeline = { seconds: Math.max(0, now() - capture.t0), start: capture.start, events: capture.events };
+  capture = null;
+  return timeline;
+}
+
+export function clearTimeline() {
+  capture = null;
+  timeline = null;
+}
+
+// Taps: port messages to the live worklet + SAB parameter writes
+setEngineHooks({ onWorkletPost: record });
+setSabWriteTap((cursor, p) => record({ type: "setParamsFor", cursor, params: { ...p } }));
@@ -0,0 +1,62 @@
+/**
+ * @module app/state/clock
+ * @description Tempo clock settings for the granular synthesizer.
+ * Holds the session-wide BPM, swing and time signature used by the worklet clock
+ * (cursors lock to it through their per-cursor `syncDiv` parameter), binds the
+ * clock controls and keeps the worklet in sync.
+ */
+
+import { getWorkletNode, setEngineHooks } from '../engine/audio-engine.js';
+
+const $ = (id) => document.getElementById(id);
+
+export const clockSettings = { bpm: 120, swing: 0, beatsPerBar: 4, beatUnit: 4 };
+
+export function sendClock(node = getWorkletNode()) {
+  try { node?.port.postMessage({ type: "setClock", ...clockSettings }); } catch {}
+}
+
+export function setClockSettings(partial = {}) {
+  Object.assign(clockSettings, partial);
+  sendClock();
+}
+
+// Restart the clock from bar 1 (also happens automatically when Play starts)
+export function resetClock() {
+  try { getWorkletNode()?.port.postMessage({ type: "resetClock" }); } catch {}
+}
+
+// Engine hook: push clock settings once the worklet exists
+setEngineHooks({ sendClockSettings: sendClock });
+
+export function initClockControls() {
+  const bpmEl   = $("clockBpmInput");
+  const swingEl = $("clockSwingRange");
+  const sigEl   = $("clockSigSelect");
+
+  if (bpmEl && !bpmEl.__clockBound) {
+    bpmEl.__clockBound = true;
+    bpmEl.value = String(clockSettings.bpm);
+    bpmEl.addEventListener("change", () => {
+      const v = parseFloat(bpmEl.value);
+      const bpm = Number.isFinite(v) ? Math.max(20, Math.min(400, v)) : clockSettings.bpm;
+      bpmEl.value = String(bpm);
+      setClockSettings({ bpm });
+    });
+  }
+
+  if (swingEl && !swingEl.__clockBound) {
+    swingEl.__clockBound = true;
+    swingEl.value = String(clockSettings.swing);
+    swingEl.addEventListener("input", () => setClockSettings({ swing: parseFloat(swingEl.value) || 0 }));
+  }
+
+  if (sigEl && !sigEl.__clockBound) {
+    sigEl.__clockBound = true;
+    sigEl.value = `${clockSettings.beatsPerBar}/${clockSettings.beatUnit}`;
+    sigEl.addEventListener("change", () => {
+      const [num, den] = String(sigEl.value).split("/").map(n => parseInt(n, 10));
+      setClockSettings({ beatsPerBar: num || 4, beatUnit: den || 4 });
+    });
+  }
+}
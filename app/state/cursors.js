@@ -1,17 +1,18 @@
 /**
  * @module app/state/cursors
  * @description Cursor/playhead state management for the granular synthesizer.
- * Manages active cursor selection, cursor positions, and synchronizes UI sliders
- * with per-cursor parameters. Handles communication with the audio worklet.
+ * Manages the session cursor count, active cursor selection, cursor positions, and
+ * synchronizes UI sliders with per-cursor parameters. Handles communication with the audio worklet.
  */
 
 import { initTriSwitch3 } from '../../ui/tri-switch.js';
 import { setLayerParams } from '../../ui/background-animation.js';
 
-import { hasSAB, getSabView, writeParamsToSAB } from '../engine/sab.js';
+import { hasSAB, getSabView, writeParamsToSAB, initSAB } from '../engine/sab.js';
 import { getWorkletNode, setEngineHooks } from '../engine/audio-engine.js';
 
-import { cursorParams, pitchKnobSemis, pitchBaselineSemis, commitPitch } from './params.js';
+import { cursorParams, pitchKnobSemis, pitchBaselineSemis, commitPitch, intervalsToMask, maskToIntervals,
+         MAX_CURSORS, DEFAULT_CURSOR_COUNT, cursorLabel } from './params.js';
 import { updateHoldUI } from './hold.js';
 
 // Waveform display imports
@@ -20,12 +21,24 @@ import { getAudioBuffer } from '../session/buffer-session.js';
 
 const $ = (id) => document.getElementById(id);
 
-export let positions = [0.15, 0.50, 0.85];
+// Evenly spread read heads (3 cursors -> 0.15 / 0.50 / 0.85)
+const spreadPositions = (n) => Array.from({ length: n }, (_, i) => (n === 1 ? 0.5 : 0.15 + 0.7 * i / (n - 1)));
+
+export let cursorCount = DEFAULT_CURSOR_COUNT;
+export let positions = spreadPositions(DEFAULT_CURSOR_COUNT).concat(new Array(MAX_CURSORS - DEFAULT_CURSOR_COUNT).fill(0.5));
 export let activeCursor = 0;
 
 let __isApplyingCursorToUI = false;
 
+// Optional hooks for panels that follow the active cursor / the cursor count
+const cursorHooks = {
+  onActiveCursorChange: null,
+  onCursorCountChange: null
+};
+export function setCursorHooks(partial = {}) { Object.assign(cursorHooks, partial); }
+
 export function getActiveCursor(){ return activeCursor; }
+export function getCursorCount(){ return cursorCount; }
 
 function clamp01(x) { return Math.max(0, Math.min(1, x)); }
 function syncSlider(id){
@@ -46,11 +59,62 @@ const sliderMap = {
   filterQRange:      { key: "qNorm",     fromUI: v => parseFloat(v), toUI: v => v },
   filterDriveRange:  { key: "driveNorm", fromUI: v => parseFloat(v), toUI: v => v },
   filterSlopeSelect: { key: "slopeSel",  fromUI: v => parseInt(v,10),toUI: v => v },
+  filterTypeSelect:  { key: "filterType", fromUI: v => parseInt(v,10),toUI: v => v },
+  peakGainRange:     { key: "peakGainDb", fromUI: v => parseFloat(v), toUI: v => v },
+  fEnvAttackRange:   { key: "fEnvAttack",  fromUI: v => parseFloat(v), toUI: v => v },
+  fEnvDecayRange:    { key: "fEnvDecay",   fromUI: v => parseFloat(v), toUI: v => v },
+  fEnvSustainRange:  { key: "fEnvSustain", fromUI: v => parseFloat(v), toUI: v => v },
+  fEnvReleaseRange:  { key: "fEnvRelease", fromUI: v => parseFloat(v), toUI: v => v },
+  fEnvAmountRange:   { key: "fEnvAmount",  fromUI: v => parseFloat(v), toUI: v => v },
+  keyTrackRange:     { key: "keyTrack",    fromUI: v => parseFloat(v), toUI: v => v },
+  lfoShapeSelect:    { key: "lfoShape", fromUI: v => parseInt(v,10),toUI: v => v },
+  lfoSyncSelect:     { key: "lfoSync", fromUI: v => parseInt(v,10),toUI: v => v },
+  lfoToPosRange:     { key: "lfoToPos", fromUI: v => parseFloat(v), toUI: v => v },
+  lfoToPitchRange:   { key: "lfoToPitch", fromUI: v => parseFloat(v), toUI: v => v },
+  lfoToPanRange:     { key: "lfoToPan", fromUI: v => parseFloat(v), toUI: v => v },
+  lfoToDensityRange: { key: "lfoToDensity", fromUI: v => parseFloat(v), toUI: v => v },
+  lfoToSizeRange:    { key: "lfoToSize", fromUI: v => parseFloat(v), toUI: v => v },
+  lfoToSpreadRange:  { key: "lfoToSpread", fromUI: v => parseFloat(v), toUI: v => v },
+  lfoToGainRange:    { key: "lfoToGain", fromUI: v => parseFloat(v), toUI: v => v },
+  ampAttackRange:    { key: "ampAttack",  fromUI: v => parseFloat(v), toUI: v => v },
+  ampDecayRange:     { key: "ampDecay",   fromUI: v => parseFloat(v), toUI: v => v },
+  ampSustainRange:   { key: "ampSustain", fromUI: v => parseFloat(v), toUI: v => v },
+  ampReleaseRange:   { key: "ampRelease", fromUI: v => parseFloat(v), toUI: v => v },
+  voiceCountRange:   { key: "voiceCount", fromUI: v => parseInt(v,10),toUI: v => v },
+  voiceStealSelect:  { key: "voiceSteal", fromUI: v => parseInt(v,10),toUI: v => v },
   lfoFreqRange:      { key: "lfoFreq",   fromUI: v => parseFloat(v), toUI: v => v },
   lfoDepthRange:     { key: "lfoDepth",  fromUI: v => parseFloat(v), toUI: v => v },
   scanSpeedRange:    { key: "scanSpeed", fromUI: v => parseFloat(v), toUI: v => v },
+  scanModeSelect:    { key: "scanMode",  fromUI: v => parseInt(v,10),toUI: v => v },
+  loopStartRange:    { key: "loopStart", fromUI: v => parseFloat(v), toUI: v => v },
+  loopEndRange:      { key: "loopEnd",   fromUI: v => parseFloat(v), toUI: v => v },
+  regionSelect:      { key: "regionOn",  fromUI: v => parseInt(v,10),toUI: v => v },
+  delayTimeRange:    { key: "delayTime",     fromUI: v => parseFloat(v), toUI: v => v },
+  delaySyncSelect:   { key: "delaySync",     fromUI: v => parseInt(v,10),toUI: v => v },
+  delayFeedbackRange:{ key: "delayFeedback", fromUI: v => parseFloat(v), toUI: v => v },
+  delayDampRange:    { key: "delayDamp",     fromUI: v => parseFloat(v), toUI: v => v },
+  delayModeSelect:   { key: "delayPingPong", fromUI: v => parseInt(v,10),toUI: v => v },
+  delayMixRange:     { key: "delayMix",      fromUI: v => parseFloat(v), toUI: v => v },
+  reverbSendRange:   { key: "reverbSend",    fromUI: v => parseFloat(v), toUI: v => v },
+  driveCurveSelect:  { key: "driveCurve",    fromUI: v => parseInt(v,10),toUI: v => v },
+  driveOversampleSelect: { key: "driveOversample", fromUI: v => parseInt(v,10),toUI: v => v },
   gainRange:         { key: "gain",      fromUI: v => parseFloat(v), toUI: v => v },
   grainSizeRange:    { key: "grainSize", fromUI: v => parseFloat(v), toUI: v => v },
+  winShapeSelect:    { key: "winShape",  fromUI: v => parseInt(v,10),toUI: v => v },
+  winAmountRange:    { key: "winAmount", fromUI: v => parseFloat(v), toUI: v => v },
+  reverseProbRange:  { key: "reverseProb", fromUI: v => parseFloat(v), toUI: v => v },
+  pingPongSelect:    { key: "pingPong",  fromUI: v => parseInt(v,10),toUI: v => v },
+  schedModeSelect:   { key: "schedMode", fromUI: v => parseInt(v,10),toUI: v => v },
+  schedJitterRange:  { key: "schedJitter", fromUI: v => parseFloat(v), toUI: v => v },
+  syncDivSelect:     { key: "syncDiv",   fromUI: v => parseInt(v,10),toUI: v => v },
+  stepProbRange:     { key: "stepProb",  fromUI: v => parseFloat(v), toUI: v => v },
+  accentRange:       { key: "accent",    fromUI: v => parseFloat(v), toUI: v => v },
+  pitchJitterRange:  { key: "pitchJitter", fromUI: v => parseFloat(v), toUI: v => v },
+  pitchScaleSelect:  { key: "pitchScale", fromUI: v => parseInt(v,10),toUI: v => v },
+  scaleRootSelect:   { key: "scaleRoot", fromUI: v => parseInt(v,10),toUI: v => v },
+  scaleIntervalsInput: { key: "scaleMask", fromUI: v => intervalsToMask(v), toUI: v => maskToIntervals(v) },
+  panScatterRange:   { key: "panScatter", fromUI: v => parseFloat(v), toUI: v => v },
+  ampJitterRange:    { key: "ampJitter", fromUI: v => parseFloat(v), toUI: v => v },
 };
 const perCursorSliderIds = Object.keys(sliderMap);
 
@@ -72,21 +136,16 @@ export function getMaybeSnapToZero(){ return maybeSnapToZero; }
 export function setMaybeSnapToZero(fn){ maybeSnapToZero = fn; }
 
 // Worklet messaging - send positions and parameters to audio processor
-export function sendPositions() { try { getWorkletNode()?.port.postMessage({ type: "setPositions", positions }); } catch {} }
+export function sendPositions(node = getWorkletNode()) { try { node?.port.postMessage({ type: "setPositions", positions }); } catch {} }
 
-export function sendAllCursorParams() {
+export function sendAllCursorParams(node = getWorkletNode()) {
   try {
-    getWorkletNode()?.port.postMessage({
-      type: "setParamsAll",
-      paramsA: cursorParams[0],
-      paramsB: cursorParams[1],
-      paramsC: cursorParams[2]
-    });
+    node?.port.postMessage({ type: "setParamsAll", params: cursorParams });
   } catch {}
 }
 
-// Engine hook: fallback for non-SAB mode, sends all parameters
-setEngineHooks({ sendAllCursorParams });
+// Engine hooks: fallback for non-SAB mode (sends all parameters) + session cursor count
+setEngineHooks({ sendAllCursorParams, getCursorCount });
 
 // Send parameters for the currently active cursor only
 function sendParamsForActiveCursor() {
@@ -101,22 +160,24 @@ function sendParamsForActiveCursor() {
 }
 
 function updateCursorSwitchUI(source = 'generic'){
-  const panel = document.querySelector(".granular-ui");
-  if (panel) {
-    const idx = Math.max(0, Math.min(2, activeCursor));
-    panel.setAttribute("data-cursor", idx === 0 ? "a" : idx === 1 ? "b" : "c");
-  }
+  const idx = Math.max(0, Math.min(cursorCount - 1, activeCursor));
+  const tag = cursorLabel(idx).toLowerCase();
+  document.querySelector(".granular-ui")?.setAttribute("data-cursor", tag);
+  $("extPanel")?.setAttribute("data-cursor", tag);
 
   const tri = window.__TriSwitchCtrl;
   if (tri && typeof tri.setValue === 'function') {
+    if (tri.stops !== cursorCount) tri.setStops?.(cursorCount);
     if (source !== 'tri') {
-      tri.setValue(Math.max(0, Math.min(2, activeCursor)), false);
+      tri.setValue(idx, false);
     }
   }
 }
 
+const toCursorIndex = (n) => (Number.isInteger(n) && n >= 0 && n < cursorCount) ? n : 0;
+
 export function setActiveCursor(n, source = 'generic'){
-  const idx = (n === 1 || n === 2) ? n : 0;
+  const idx = toCursorIndex(n);
   if (idx === activeCursor) return;
 
   activeCursor = idx;
@@ -130,15 +191,51 @@ export function setActiveCursor(n, source = 'generic'){
     applyCursorToUI(activeCursor);
     sendParamsForActiveCursor();
     requestWaveformRedraw();
+    try { cursorHooks.onActiveCursorChange?.(activeCursor); } catch {}
   });
 }
 
+// Session cursor count (1..MAX_CURSORS). Newly enabled cursors start evenly spread;
+// the SAB is re-created for the new size and the worklet drops removed cursors.
+export function setCursorCount(n){
+  const next = Math.max(1, Math.min(MAX_CURSORS, Math.round(Number(n) || 0)));
+  if (next === cursorCount) return;
+  const prev = cursorCount;
+  cursorCount = next;
+
+  const spread = spreadPositions(next);
+  for (let i = prev; i < next; i++) positions[i] = spread[i];
+  const sel = $("cursorCountSelect");
+  if (sel) sel.value = String(next);
+
+  const node = getWorkletNode();
+  try { node?.port.postMessage({ type: "setCursorCount", count: next }); } catch {}
+  if (hasSAB && node) initSAB(node, cursorParams, next);
+  else sendAllCursorParams();
+  sendPositions();
+
+  if (activeCursor >= next) setActiveCursor(next - 1);
+  updateCursorSwitchUI('generic');
+  requestWaveformRedraw();
+  try { cursorHooks.onCursorCountChange?.(next); } catch {}
+}
+
+export function initCursorCountControl(){
+  const sel = $("cursorCountSelect");
+  if (!sel || sel.__countBound) return;
+  sel.__countBound = true;
+  sel.innerHTML = Array.from({ length: MAX_CURSORS }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join("");
+  sel.value = String(cursorCount);
+  sel.addEventListener("change", () => setCursorCount(parseInt(sel.value, 10)));
+}
+
 function initCursorSwitch(){
   const el = document.querySelector('.slide-switch3');
   if (!el) return;
 
   const ctrl = initTriSwitch3(el, {
     value: 0,
+    stops: cursorCount,
     onChange: ({ value }) => {
       setActiveCursor(value, 'tri');
     }
@@ -150,9 +247,7 @@ function initCursorSwitch(){
 }
 
 $("positionTarget")?.addEventListener("change", (e) => {
-  const v = parseInt(e.target.value, 10);
-  const idx = (v === 1 || v === 2) ? v : 0;
-  setActiveCursor(idx, 'generic');
+  setActiveCursor(toCursorIndex(parseInt(e.target.value, 10)), 'generic');
 });
 
 export function applyCursorToUI(index) {
@@ -177,6 +272,31 @@ export function applyCursorToUI(index) {
   } finally {
     __isApplyingCursorToUI = false;
   }
+  requestWaveformRedraw(); // region bands follow the params
+}
+
+// Region edges moved on the waveform: update params, worklet and (active cursor) the sliders
+export function setCursorRegion(index, start, end) {
+  const p = cursorParams[index];
+  if (!p) return;
+  p.loopStart = clamp01(start);
+  p.loopEnd   = clamp01(end);
+
+  if (hasSAB && getSabView()) writeParamsToSAB(index, p);
+  else try { getWorkletNode()?.port.postMessage({ type: "setParamsFor", cursor: index, params: p }); } catch {}
+
+  if (index !== activeCursor) return;
+  __isApplyingCursorToUI = true;
+  try {
+    for (const id of ["loopStartRange", "loopEndRange"]) {
+      const el = $(id);
+      if (!el) continue;
+      el.value = String(p[sliderMap[id].key]);
+      syncSlider(id);
+    }
+  } finally {
+    __isApplyingCursorToUI = false;
+  }
 }
 
 // Slider input listeners - update parameters on user interaction
@@ -212,6 +332,10 @@ perCursorSliderIds.forEach((id) => {
         } catch {}
       }
 
+      if (id === "loopStartRange" || id === "loopEndRange" || id === "regionSelect" || id === "scanModeSelect") {
+        requestWaveformRedraw();
+      }
+
       if (id === "grainSizeRange" || id === "spreadRange" || id === "densityRange") {
         const p = cursorParams[activeCursor];
         try {
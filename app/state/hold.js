@@ -6,8 +6,9 @@
  */
 
 import { getWorkletNode } from '../engine/audio-engine.js';
+import { MAX_CURSORS } from './params.js';
 
-export const holdState = [false, false, false];
+export const holdState = new Array(MAX_CURSORS).fill(false);
 
 // Debounce guard to prevent rapid hold toggle spam (via keyboard or click)
 const HOLD_TOGGLE_DEBOUNCE_MS = 150;
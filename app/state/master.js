@@ -0,0 +1,83 @@
+/**
+ * @module app/state/master
+ * @description Master chain settings for the granular synthesizer.
+ * Holds the session-wide 3-band EQ, glue compressor and limiter settings of the
+ * worklet master section (EQ -> compressor -> limiter, after the reverb),
+ * binds the master controls and keeps the worklet in sync.
+ */
+
+import { getWorkletNode, setEngineHooks } from '../engine/audio-engine.js';
+
+const $ = (id) => document.getElementById(id);
+
+const dbToLin = (db) => Math.pow(10, db / 20);
+const linToDb = (x) => 20 * Math.log10(x);
+
+export const masterSettings = {
+  eq:         { lowHz: 120, lowDb: 0, midHz: 1000, midDb: 0, midQ: 0.7, highHz: 8000, highDb: 0, bypass: false },
+  compressor: { thresholdDb: -18, ratio: 2, attackMs: 10, releaseMs: 150, makeupDb: 0, bypass: true },
+  limiter:    { ceiling: 0.98, releaseMs: 50, lookaheadMs: 3, bypass: false }
+};
+
+// section -> worklet message
+const MESSAGES = { eq: "setMasterEq", compressor: "setCompressor", limiter: "setLimiter" };
+
+export function sendMaster(node = getWorkletNode()) {
+  for (const [section, type] of Object.entries(MESSAGES)) {
+    try { node?.port.postMessage({ type, ...masterSettings[section] }); } catch {}
+  }
+}
+
+export function setMasterSettings(section, partial = {}) {
+  if (!MESSAGES[section]) return;
+  Object.assign(masterSettings[section], partial);
+  try { getWorkletNode()?.port.postMessage({ type: MESSAGES[section], ...masterSettings[section] }); } catch {}
+}
+
+// Engine hook: push master settings once the worklet exists
+setEngineHooks({ sendMasterSettings: sendMaster });
+
+// control id -> [section, key, fromUI, toUI]
+const num = (v) => parseFloat(v);
+const bool = (v) => v === "1";
+const CONTROLS = {
+  eqLowFreqRange:    ["eq", "lowHz",  num, v => v],
+  eqLowGainRange:    ["eq", "lowDb",  num, v => v],
+  eqMidFreqRange:    ["eq", "midHz",  num, v => v],
+  eqMidGainRange:    ["eq", "midDb",  num, v => v],
+  eqMidQRange:       ["eq", "midQ",   num, v => v],
+  eqHighFreqRange:   ["eq", "highHz", num, v => v],
+  eqHighGainRange:   ["eq", "highDb", num, v => v],
+  eqBypassSelect:    ["eq", "bypass", bool, v => (v ? "1" : "0")],
+  compThresholdRange:["compressor", "thresholdDb", num, v => v],
+  compRatioRange:    ["compressor", "ratio",       num, v => v],
+  compAttackRange:   ["compressor", "attackMs",    num, v => v],
+  compReleaseRange:  ["compressor", "releaseMs",   num, v => v],
+  compMakeupRange:   ["compressor", "makeupDb",    num, v => v],
+  compBypassSelect:  ["compressor", "bypass",      bool, v => (v ? "1" : "0")],
+  limCeilingRange:   ["limiter", "ceiling",     v => dbToLin(parseFloat(v)), v => linToDb(v).toFixed(1)],
+  limReleaseRange:   ["limiter", "releaseMs",   num, v => v],
+  limLookaheadRange: ["limiter", "lookaheadMs", num, v => v],
+  limBypassSelect:   ["limiter", "bypass",      bool, v => (v ? "1" : "0")]
+};
+
+export function initMasterControls() {
+  for (const [id, [section, key, fromUI, toUI]] of Object.entries(CONTROLS)) {
+    const el = $(id);
+    if (!el || el.__masterBound) continue;
+    el.__masterBound = true;
+    el.value = String(toUI(masterSettings[section][key]));
+    el.addEventListener(el.tagName === "SELECT" ? "change" : "input", () => {
+      const v = fromUI(el.value);
+      if (typeof v === "boolean" || Number.isFinite(v)) setMasterSettings(section, { [key]: v });
+    });
+  }
+}
+
+// Compressor gain reduction readout (telemetry, dB <= 0)
+export function updateCompressorUI(compDb) {
+  const el = $("compGrValue");
+  if (!el) return;
+  const gr = Number.isFinite(compDb) ? Math.max(0, -compDb) : 0;
+  el.textContent = gr < 0.05 ? "0.0" : "−" + gr.toFixed(1);
+}
@@ -0,0 +1,158 @@
+/**
+ * @module app/state/modmatrix
+ * @description Modulation matrix state for the granular synthesizer.
+ * Holds the per-cursor routing slots (source → destination, bipolar amount) and the
+ * LFO2/LFO3 settings, builds the compact routing panel, follows the active cursor,
+ * keeps the worklet in sync and (de)serializes the matrix for presets.
+ */
+
+import { MOD_SOURCES, MOD_DESTS, MOD_SLOTS, MOD_LFOS, isRoutable } from '../../worklet/dsp/modmatrix.js';
+import { getWorkletNode, setEngineHooks } from '../engine/audio-engine.js';
+import { getActiveCursor, getCursorCount, setCursorHooks } from './cursors.js';
+import { MAX_CURSORS } from './params.js';
+
+const $ = (id) => document.getElementById(id);
+
+const SOURCE_LABELS = ['—', 'LFO 1', 'LFO 2', 'LFO 3', 'Velocity', 'Filter env', 'Mod wheel', 'Aftertouch', 'Random', 'Loudness'];
+const DEST_LABELS = {
+  posOffset: 'Position', pitch: 'Pitch', pan: 'Pan', density: 'Density',
+  grainSize: 'Grain size', spread: 'Spread', gain: 'Gain', cutoff: 'Cutoff',
+  qNorm: 'Resonance', driveNorm: 'Drive', attack: 'Attack', release: 'Release',
+  lfoDepth: 'LFO depth', winAmount: 'Window amt', reverseProb: 'Reverse prob',
+  schedJitter: 'Sched jitter', stepProb: 'Step prob', pitchJitter: 'Pitch jitter',
+  panScatter: 'Pan scatter', ampJitter: 'Amp jitter', peakGainDb: 'Peak gain',
+  fEnvAmount: 'Filter env amt', keyTrack: 'Key track'
+};
+
+const emptyMatrix = () => ({
+  slots: Array.from({ length: MOD_SLOTS }, () => ({ src: MOD_SOURCES.NONE, dst: 0, amount: 0 })),
+  lfos:  Array.from({ length: MOD_LFOS },  () => ({ shape: 0, hz: 0.5, sync: 0 }))
+});
+
+// One matrix per possible cursor (inactive ones keep their routing for when the count grows)
+export const modMatrix = Array.from({ length: MAX_CURSORS }, emptyMatrix);
+
+let __isApplyingMatrixToUI = false;
+
+export function sendModMatrix(cursor, node = getWorkletNode()) {
+  try { node?.port.postMessage({ type: "setModMatrix", cursor, matrix: modMatrix[cursor] }); } catch {}
+}
+export function sendAllModMatrices(node = getWorkletNode()) { for (let c = 0; c < MAX_CURSORS; c++) sendModMatrix(c, node); }
+
+// Engine hook: push the routing once the worklet exists
+setEngineHooks({ sendModMatrices: sendAllModMatrices });
+
+// Plain-JSON copy for presets (active cursors only)
+export function serializeModMatrix() {
+  return modMatrix.slice(0, getCursorCount()).map(m => ({
+    slots: m.slots.map(s => ({ ...s })),
+    lfos:  m.lfos.map(l => ({ ...l }))
+  }));
+}
+
+// Restore from a preset (missing/invalid entries fall back to an empty matrix)
+export function loadModMatrix(data) {
+  const arr = Array.isArray(data) ? data : [];
+  for (let c = 0; c < MAX_CURSORS; c++) {
+    const src = arr[c] || {};
+    const m = emptyMatrix();
+    m.slots.forEach((s, i) => {
+      const r = src.slots?.[i]; if (!r) return;
+      s.src = Math.max(0, Math.min(SOURCE_LABELS.length - 1, r.src | 0));
+      s.dst = Math.max(0, Math.min(MOD_DESTS.length - 1, r.dst | 0));
+      s.amount = Math.max(-1, Math.min(1, Number(r.amount) || 0));
+    });
+    m.lfos.forEach((l, k) => {
+      const r = src.lfos?.[k]; if (!r) return;
+      l.shape = r.shape | 0;
+      l.hz = Number.isFinite(r.hz) ? r.hz : 0.5;
+      l.sync = r.sync | 0;
+    });
+    modMatrix[c] = m;
+  }
+  sendAllModMatrices();
+  refreshModMatrixUI();
+}
+
+export function resetModMatrix() { loadModMatrix([]); }
+
+export function refreshModMatrixUI() {
+  const m = modMatrix[getActiveCursor()];
+  __isApplyingMatrixToUI = true;
+  try {
+    m.slots.forEach((s, i) => {
+      const src = $(`modSrc${i}`), dst = $(`modDst${i}`), amt = $(`modAmt${i}`);
+      if (src) src.value = String(s.src);
+      if (dst) dst.value = String(s.dst);
+      syncDestOptions(i, s.src);
+      if (amt) { amt.value = String(s.amount); amt.dispatchEvent(new Event('input', { bubbles: true })); }
+    });
+    m.lfos.forEach((l, k) => {
+      const n = k + 2;
+      const shape = $(`modLfo${n}ShapeSelect`), rate = $(`modLfo${n}RateRange`), sync = $(`modLfo${n}SyncSelect`);
+      if (shape) shape.value = String(l.shape);
+      if (sync)  sync.value  = String(l.sync);
+      if (rate)  { rate.value = String(l.hz); rate.dispatchEvent(new Event('input', { bubbles: true })); }
+    });
+  } finally {
+    __isApplyingMatrixToUI = false;
+  }
+}
+
+// RANDOM is drawn per grain: only per-grain destinations are offered for it
+function syncDestOptions(i, src) {
+  const dst = $(`modDst${i}`);
+  if (!dst) return;
+  for (const o of dst.options) o.disabled = !isRoutable(src, parseInt(o.value, 10));
+}
+
+function buildSlotRows(container) {
+  const srcOpts = SOURCE_LABELS.map((l, i) => `<option value="${i}">${l}</option>`).join("");
+  const dstOpts = MOD_DESTS.map((d, i) => `<option value="${i}">${DEST_LABELS[d.key] || d.key}</option>`).join("");
+  let html = "";
+  for (let i = 0; i < MOD_SLOTS; i++) {
+    html += `<div class="ext-row mod-slot">
+        <select id="modSrc${i}" class="ext-select" aria-label="Source ${i + 1}">${srcOpts}</select>
+        <select id="modDst${i}" class="ext-select" aria-label="Destination ${i + 1}">${dstOpts}</select>
+        <input type="range" id="modAmt${i}" class="param-slider" min="-1" max="1" step="0.01" value="0" aria-label="Amount ${i + 1}">
+      </div>`;
+  }
+  container.innerHTML = html;
+}
+
+export function initModMatrixControls() {
+  const container = $("modSlots");
+  if (!container || container.__modBound) return;
+  container.__modBound = true;
+  buildSlotRows(container);
+
+  const onEdit = (fn) => () => {
+    if (__isApplyingMatrixToUI) return;
+    const c = getActiveCursor();
+    fn(modMatrix[c]);
+    sendModMatrix(c);
+  };
+
+  for (let i = 0; i < MOD_SLOTS; i++) {
+    $(`modSrc${i}`)?.addEventListener("change", onEdit(m => {
+      const s = m.slots[i];
+      s.src = parseInt($(`modSrc${i}`).value, 10) || 0;
+      if (!isRoutable(s.src, s.dst)) {
+        s.dst = MOD_DESTS.findIndex(d => d.grain);
+        const dst = $(`modDst${i}`); if (dst) dst.value = String(s.dst);
+      }
+      syncDestOptions(i, s.src);
+    }));
+    $(`modDst${i}`)?.addEventListener("change", onEdit(m => { m.slots[i].dst = parseInt($(`modDst${i}`).value, 10) || 0; }));
+    $(`modAmt${i}`)?.addEventListener("input",  onEdit(m => { m.slots[i].amount = parseFloat($(`modAmt${i}`).value) || 0; }));
+  }
+  for (let k = 0; k < MOD_LFOS; k++) {
+    const n = k + 2;
+    $(`modLfo${n}ShapeSelect`)?.addEventListener("change", onEdit(m => { m.lfos[k].shape = parseInt($(`modLfo${n}ShapeSelect`).value, 10) || 0; }));
+    $(`modLfo${n}SyncSelect`)?.addEventListener("change",  onEdit(m => { m.lfos[k].sync = parseInt($(`modLfo${n}SyncSelect`).value, 10) || 0; }));
+    $(`modLfo${n}RateRange`)?.addEventListener("input",    onEdit(m => { m.lfos[k].hz = parseFloat($(`modLfo${n}RateRange`).value) || 0; }));
+  }
+
+  setCursorHooks({ onActiveCursorChange: refreshModMatrixUI, onCursorCountChange: refreshModMatrixUI });
+  refreshModMatrixUI();
+}
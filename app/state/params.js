@@ -12,9 +12,30 @@ const $ = (id) => document.getElementById(id);
 const semisToRate = (s) => Math.pow(2, s / 12);
 const rateToSemis = (r) => 12 * Math.log2(Math.max(1e-6, r));
 
+// Custom scale: interval list text ("0 2 3 7 9") <-> 12-bit pitch-class mask
+export function intervalsToMask(text) {
+  let m = 0;
+  String(text ?? "").split(/[\s,;]+/).forEach((t) => {
+    const n = parseInt(t, 10);
+    if (Number.isFinite(n)) m |= 1 << (((n % 12) + 12) % 12);
+  });
+  return m;
+}
+export function maskToIntervals(mask) {
+  const out = [];
+  for (let i = 0; i < 12; i++) if ((mask | 0) & (1 << i)) out.push(i);
+  return out.join(" ");
+}
+
+// Cursor count is a session setting (see cursors.js); per-cursor state is
+// allocated for MAX_CURSORS so changing it never reallocates these arrays
+export const MAX_CURSORS = 8;
+export const DEFAULT_CURSOR_COUNT = 3;
+export const cursorLabel = (i) => String.fromCharCode(65 + i); // A, B, C, …
+
 // Relative pitch values (baseline + knob offset)
-export const pitchKnobSemis     = [0, 0, 0];  // Knob value in relative semitones
-export const pitchBaselineSemis = [0, 0, 0];  // Baseline pitch offset (not modified by keyboard)
+export const pitchKnobSemis     = new Array(MAX_CURSORS).fill(0);  // Knob value in relative semitones
+export const pitchBaselineSemis = new Array(MAX_CURSORS).fill(0);  // Baseline pitch offset (not modified by keyboard)
 
 // Default per-cursor parameters including filter settings
 export const defaultCursorParams = () => ({
@@ -33,16 +54,83 @@ export const defaultCursorParams = () => ({
   scanSpeed: parseFloat(($("scanSpeedRange")    || {}).value) || 0,
   gain:      parseFloat(($("gainRange")         || {}).value) || 0.5,
   grainSize: parseFloat(($("grainSizeRange")    || {}).value) || 1.0,
+  winShape:  parseInt(  (($("winShapeSelect")   || {}).value), 10) || 0,
+  winAmount: parseFloat(($("winAmountRange")    || {}).value) || 0.5,
+  reverseProb: parseFloat(($("reverseProbRange") || {}).value) || 0,
+  pingPong:  parseInt(  (($("pingPongSelect")   || {}).value), 10) || 0,
+  schedMode: parseInt(  (($("schedModeSelect")  || {}).value), 10) || 0,
+  schedJitter: parseFloat(($("schedJitterRange") || {}).value) || 0.2,
+  syncDiv:   parseInt(  (($("syncDivSelect")    || {}).value), 10) || 0,
+  stepProb:  parseFloat(($("stepProbRange")     || {}).value) || 1,
+  accent:    parseFloat(($("accentRange")       || {}).value) || 0,
+  pitchJitter: parseFloat(($("pitchJitterRange") || {}).value) || 0,
+  pitchScale: parseInt( (($("pitchScaleSelect") || {}).value), 10) || 0,
+  scaleRoot: parseInt(  (($("scaleRootSelect")  || {}).value), 10) || 0,
+  scaleMask: intervalsToMask(($("scaleIntervalsInput") || {}).value ?? "0 2 4 5 7 9 11") || 0xFFF,
+  panScatter: parseFloat(($("panScatterRange") || {}).value) || 0,
+  ampJitter: parseFloat(($("ampJitterRange")   || {}).value) || 0,
+  filterType: parseInt( (($("filterTypeSelect") || {}).value), 10) || 0,
+  peakGainDb: parseFloat(($("peakGainRange")    || {}).value) || 0,
+  fEnvAttack:  parseFloat(($("fEnvAttackRange")  || {}).value) || 0.01,
+  fEnvDecay:   parseFloat(($("fEnvDecayRange")   || {}).value) || 0.3,
+  fEnvSustain: parseFloat(($("fEnvSustainRange") || {}).value) || 0,
+  fEnvRelease: parseFloat(($("fEnvReleaseRange") || {}).value) || 0.3,
+  fEnvAmount:  parseFloat(($("fEnvAmountRange")  || {}).value) || 0,
+  keyTrack:    parseFloat(($("keyTrackRange")    || {}).value) || 0,
+  lfoShape:    parseInt(  (($("lfoShapeSelect")   || {}).value), 10) || 0,
+  lfoSync:     parseInt(  (($("lfoSyncSelect")    || {}).value), 10) || 0,
+  lfoToPos:    parseFloat(($("lfoToPosRange")     || {}).value) || 0,
+  lfoToPitch:  parseFloat(($("lfoToPitchRange")   || {}).value) || 0,
+  lfoToPan:    parseFloat(($("lfoToPanRange")     || {}).value) || 0,
+  lfoToDensity: parseFloat(($("lfoToDensityRange") || {}).value) || 0,
+  lfoToSize:   parseFloat(($("lfoToSizeRange")    || {}).value) || 0,
+  lfoToSpread: parseFloat(($("lfoToSpreadRange")  || {}).value) || 0,
+  lfoToGain:   parseFloat(($("lfoToGainRange")    || {}).value) || 0,
+  ampAttack:   parseFloat(($("ampAttackRange")    || {}).value) || 0.005,
+  ampDecay:    parseFloat(($("ampDecayRange")     || {}).value) || 0.1,
+  ampSustain:  parseFloat(($("ampSustainRange")   || {}).value) || 1,
+  ampRelease:  parseFloat(($("ampReleaseRange")   || {}).value) || 0.3,
+  voiceCount:  parseInt(  (($("voiceCountRange")  || {}).value), 10) || 8,
+  voiceSteal:  parseInt(  (($("voiceStealSelect") || {}).value), 10) || 0,
+  scanMode:    parseInt(  (($("scanModeSelect")   || {}).value), 10) || 0,
+  loopStart:   parseFloat(($("loopStartRange")    || {}).value) || 0,
+  loopEnd:     parseFloat(($("loopEndRange")      || {}).value) || 1,
+  regionOn:    parseInt(  (($("regionSelect")     || {}).value), 10) || 0,
+  delayTime:   parseFloat(($("delayTimeRange")    || {}).value) || 350,
+  delaySync:   parseInt(  (($("delaySyncSelect")  || {}).value), 10) || 0,
+  delayFeedback: parseFloat(($("delayFeedbackRange") || {}).value) || 0.35,
+  delayDamp:   parseFloat(($("delayDampRange")    || {}).value) || 0.3,
+  delayPingPong: parseInt(  (($("delayModeSelect")  || {}).value), 10) || 0,
+  delayMix:    parseFloat(($("delayMixRange")     || {}).value) || 0,
+  reverbSend:  parseFloat(($("reverbSendRange")   || {}).value) || 0,
+  driveCurve:  parseInt(  (($("driveCurveSelect")  || {}).value), 10) || 0,
+  driveOversample: parseInt((($("driveOversampleSelect") || {}).value), 10) || 2,
 });
 
-export let cursorParams = [ defaultCursorParams(), defaultCursorParams(), defaultCursorParams() ];
+export let cursorParams = Array.from({ length: MAX_CURSORS }, defaultCursorParams);
 
 export const NOMINAL = {
   attack: 0.5, release: 0.5, density: 30, spread: 0.1,
   pan: 0, pitch: 1.0, cutoff: 5000,
   qNorm: 0.2, driveNorm: 0.0, slopeSel: 0,
   lfoFreq: 1, lfoDepth: 0.2,
-  scanSpeed: 0, gain: 0, grainSize: 1.0
+  scanSpeed: 0, gain: 0, grainSize: 1.0,
+  winShape: 0, winAmount: 0.5,
+  reverseProb: 0, pingPong: 0,
+  schedMode: 0, schedJitter: 0.2,
+  syncDiv: 0, stepProb: 1, accent: 0,
+  pitchJitter: 0, pitchScale: 0, scaleRoot: 0, scaleMask: 0xAB5,
+  panScatter: 0, ampJitter: 0,
+  filterType: 0, peakGainDb: 0,
+  fEnvAttack: 0.01, fEnvDecay: 0.3, fEnvSustain: 0, fEnvRelease: 0.3, fEnvAmount: 0, keyTrack: 0,
+  lfoShape: 0, lfoSync: 0,
+  lfoToPos: 0, lfoToPitch: 0, lfoToPan: 0, lfoToDensity: 0, lfoToSize: 0, lfoToSpread: 0, lfoToGain: 0,
+  ampAttack: 0.005, ampDecay: 0.1, ampSustain: 1, ampRelease: 0.3,
+  voiceCount: 8, voiceSteal: 0,
+  scanMode: 0, loopStart: 0, loopEnd: 1, regionOn: 0,
+  delayTime: 350, delaySync: 0, delayFeedback: 0.35, delayDamp: 0.3, delayPingPong: 0, delayMix: 0,
+  reverbSend: 0,
+  driveCurve: 0, driveOversample: 2
 };
 
 export function commitPitch(idx) {
@@ -56,7 +144,7 @@ export function commitPitch(idx) {
   }
 }
 
-export function commitPitchAll() { commitPitch(0); commitPitch(1); commitPitch(2); }
+export function commitPitchAll() { for (let i = 0; i < MAX_CURSORS; i++) commitPitch(i); }
 
 // Expose globally for boot compatibility
 window.__CommitPitchAll = commitPitchAll;
@@ -0,0 +1,55 @@
+/**
+ * @module app/state/quality
+ * @description Playback quality settings for the granular synthesizer.
+ * Holds the session-wide source interpolation mode used by the worklet when
+ * grains read the buffer (0 = linear, 1 = cubic Hermite, 2 = windowed sinc,
+ * band-limited when pitched up) and the grain pool size and steal policy
+ * (0 = oldest, 1 = quietest, 2 = per-cursor fair share), plus the adaptive
+ * mode (the worklet lowers interpolation quality, density and grain size while
+ * its render time gets close to the block budget), binds the quality controls
+ * and keeps the worklet in sync. The worklet steps down to cheaper
+ * interpolation modes when the active grains would cost too much.
+ */
+
+import { getWorkletNode, setEngineHooks } from '../engine/audio-engine.js';
+
+const $ = (id) => document.getElementById(id);
+
+export const qualitySettings = { interp: 0, grainPool: 1024, grainSteal: 2, adaptive: 0 };
+
+export function sendQuality(node = getWorkletNode()) {
+  try { node?.port.postMessage({ type: "setInterpQuality", mode: qualitySettings.interp }); } catch {}
+  try {
+    node?.port.postMessage({ type: "setGrainPool", size: qualitySettings.grainPool, steal: qualitySettings.grainSteal });
+  } catch {}
+  try { node?.port.postMessage({ type: "setAdaptiveQuality", enabled: !!qualitySettings.adaptive }); } catch {}
+}
+
+export function setQualitySettings(partial = {}) {
+  Object.assign(qualitySettings, partial);
+  sendQuality();
+}
+
+// Engine hook: push quality settings once the worklet exists
+setEngineHooks({ sendQualitySettings: sendQuality });
+
+// control id -> settings key (all selects with integer values)
+const CONTROLS = {
+  interpQualitySelect: "interp",
+  grainPoolSelect:     "grainPool",
+  grainStealSelect:    "grainSteal",
+  adaptiveSelect:      "adaptive"
+};
+
+export function initQualityControls() {
+  for (const [id, key] of Object.entries(CONTROLS)) {
+    const el = $(id);
+    if (!el || el.__qualityBound) continue;
+    el.__qualityBound = true;
+    el.value = String(qualitySettings[key]);
+    el.addEventListener("change", () => {
+      const v = parseInt(el.value, 10);
+      if (Number.isFinite(v)) setQualitySettings({ [key]: v });
+    });
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * @module app/state/reverb
+ * @description Master reverb settings for the granular synthesizer.
+ * Holds the session-wide size, decay, damping, predelay, width and mix of the
+ * worklet reverb (cursors feed it through their per-cursor `reverbSend`
+ * parameter), binds the reverb controls and keeps the worklet in sync.
+ */
+
+import { getWorkletNode, setEngineHooks } from '../engine/audio-engine.js';
+
+const $ = (id) => document.getElementById(id);
+
+export const reverbSettings = { size: 0.6, decay: 2.5, damp: 0.4, predelayMs: 20, width: 1, mix: 0.5 };
+
+export function sendReverb(node = getWorkletNode()) {
+  try { node?.port.postMessage({ type: "setReverb", ...reverbSettings }); } catch {}
+}
+
+export function setReverbSettings(partial = {}) {
+  Object.assign(reverbSettings, partial);
+  sendReverb();
+}
+
+// Engine hook: push reverb settings once the worklet exists
+setEngineHooks({ sendReverbSettings: sendReverb });
+
+// control id -> settings key
+const CONTROLS = {
+  reverbSizeRange:     "size",
+  reverbDecayRange:    "decay",
+  reverbDampRange:     "damp",
+  reverbPredelayRange: "predelayMs",
+  reverbWidthRange:    "width",
+  reverbMixRange:      "mix"
+};
+
+export function initReverbControls() {
+  for (const [id, key] of Object.entries(CONTROLS)) {
+    const el = $(id);
+    if (!el || el.__reverbBound) continue;
+    el.__reverbBound = true;
+    el.value = String(reverbSettings[key]);
+    el.addEventListener("input", () => {
+      const v = parseFloat(el.value);
+      if (Number.isFinite(v)) setReverbSettings({ [key]: v });
+    });
+  }
+}
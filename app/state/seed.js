@@ -0,0 +1,61 @@
+/**
+ * @module app/state/seed
+ * @description Random seed for the granular synthesizer.
+ * Every random choice of the worklet (grain timing, spread, pitch jitter,
+ * reverse, pan/level scatter, step probability, random LFOs and mod source)
+ * comes from streams derived from one session seed. The same seed, sample,
+ * preset and input events give the same audio bit for bit; streams restart
+ * whenever the seed is sent and when Play starts. Each session starts from a
+ * fresh seed; presets store it, RESEED picks a new one.
+ */
+
+import { getWorkletNode, setEngineHooks } from '../engine/audio-engine.js';
+
+const $ = (id) => document.getElementById(id);
+
+const SEED_MAX = 4294967295;
+
+const randomSeed = () => Math.floor(Math.random() * (SEED_MAX + 1));
+
+export const seedSettings = { seed: randomSeed() };
+
+export function sendSeed(node = getWorkletNode()) {
+  try { node?.port.postMessage({ type: "setSeed", seed: seedSettings.seed }); } catch {}
+}
+
+export function setSeed(seed) {
+  const v = Math.floor(Number(seed));
+  if (!Number.isFinite(v)) return;
+  seedSettings.seed = Math.max(0, Math.min(SEED_MAX, v));
+  const el = $("seedInput");
+  if (el) el.value = String(seedSettings.seed);
+  sendSeed();
+}
+
+// New random seed (the previous one is gone unless it was noted or saved in a preset)
+export function reseed() {
+  setSeed(randomSeed());
+}
+
+// Engine hook: push the seed once the worklet exists
+setEngineHooks({ sendSeedSettings: sendSeed });
+
+export function initSeedControls() {
+  const seedEl = $("seedInput");
+  const btn    = $("seedReseedBtn");
+
+  if (seedEl && !seedEl.__seedBound) {
+    seedEl.__seedBound = true;
+    seedEl.value = String(seedSettings.seed);
+    seedEl.addEventListener("change", () => {
+      const v = parseInt(seedEl.value, 10);
+      if (Number.isFinite(v)) setSeed(v);
+      else seedEl.value = String(seedSettings.seed);
+    });
+  }
+
+  if (btn && !btn.__seedBound) {
+    btn.__seedBound = true;
+    btn.addEventListener("click", () => reseed());
+  }
+}
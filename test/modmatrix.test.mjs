@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOD_SOURCES, MOD_SOURCE_COUNT, MOD_DESTS, applyModSlots } from '../worklet/dsp/modmatrix.js';
+
+const POS = MOD_DESTS.findIndex(d => d.key === 'posOffset');
+const PITCH = MOD_DESTS.findIndex(d => d.key === 'pitch');
+const SPAN = MOD_DESTS[POS].span;
+
+const randomTo = (dst, amount = 1) => [{ src: MOD_SOURCES.RANDOM, dst, amount }];
+const source = (v) => { const s = new Float32Array(MOD_SOURCE_COUNT); s[MOD_SOURCES.RANDOM] = v; return s; };
+
+test('RANDOM -> position does not accumulate in a reused scratch', () => {
+  const p = { pitch: 1 }, scratch = {};
+  for (let k = 0; k < 5; k++) {
+    const out = applyModSlots(p, randomTo(POS), source(0.5), MOD_SOURCES.RANDOM, scratch);
+    assert.equal(out, scratch);
+    assert.equal(out.posOffset, 0.5 * SPAN);
+  }
+});
+
+test('consecutive calls keep posOffset within +/- span', () => {
+  const p = { pitch: 1 }, scratch = {};
+  for (let k = 0; k < 200; k++) {
+    const v = Math.sin(k * 1.7);   // deterministic values in [-1, 1]
+    const out = applyModSlots(p, randomTo(POS), source(v), MOD_SOURCES.RANDOM, scratch);
+    const off = out.posOffset ?? 0;   // v = 0 returns p untouched
+    assert.ok(Math.abs(off) <= SPAN, `posOffset ${off} at call ${k}`);
+  }
+});
+
+test('a scratch shared by cursors does not leak modulated keys', () => {
+  const scratch = {};
+  applyModSlots({ pitch: 1 }, randomTo(POS), source(1), MOD_SOURCES.RANDOM, scratch);
+  const out = applyModSlots({ pitch: 1, posOffset: 0.1 }, randomTo(PITCH), source(0.5), MOD_SOURCES.RANDOM, scratch);
+  assert.equal(out.posOffset, 0.1);
+  const bare = applyModSlots({ pitch: 1 }, randomTo(PITCH), source(0.5), MOD_SOURCES.RANDOM, scratch);
+  assert.equal(bare.posOffset, undefined);
+});
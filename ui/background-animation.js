@@ -97,7 +97,9 @@ function mapDensityToCount(density) {
 // =========================
 
 export function setLayerParams(cursorIndex, params = {}) {
-  const idx = Math.max(0, Math.min(2, cursorIndex | 0));
+  // Only cursors A/B/C have a particle layer; extra cursors leave the background alone
+  if ((cursorIndex | 0) > 2) return;
+  const idx = Math.max(0, cursorIndex | 0);
   const L = layerState[idx];
   const arr = particlesLayers[idx];
 
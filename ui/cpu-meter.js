@@ -0,0 +1,46 @@
+/**
+ * @fileoverview DSP load view (render-time readings from the worklet telemetry).
+ *
+ * Shows the smoothed DSP load and its recent peak (percent of the real-time
+ * budget of a block), the live grains per cursor, the spawns dropped so far and
+ * the adaptive quality level.
+ * - update(dsp): dsp = { load, peak, level, grains[], dropped }
+ * - The load readout gets the `warn` class from 70 % and `hot` from 90 % (peak)
+ *
+ * Expected HTML structure (missing elements are skipped):
+ *   <output id="dspLoadValue">, <output id="dspGrainsValue">,
+ *   <output id="dspDropsValue">, <output id="dspAdaptValue">
+ *
+ * @module ui/cpu-meter
+ */
+
+const letter = (i) => String.fromCharCode(65 + i); // A, B, C, …
+
+export function mountCpuMeter() {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    load: $('dspLoadValue'), grains: $('dspGrainsValue'),
+    drops: $('dspDropsValue'), adapt: $('dspAdaptValue')
+  };
+
+  // Text is only touched when it changes (telemetry arrives ~30x per second)
+  function setText(el, text) {
+    if (el && el.textContent !== text) el.textContent = text;
+  }
+
+  function update(d = {}) {
+    const load = Number.isFinite(d.load) ? d.load : 0;
+    const peak = Number.isFinite(d.peak) ? d.peak : 0;
+    setText(els.load, `${load.toFixed(0)}% · pk ${peak.toFixed(0)}%`);
+    if (els.load) {
+      els.load.classList.toggle('warn', load >= 70 && peak < 90);
+      els.load.classList.toggle('hot', peak >= 90);
+    }
+    const g = Array.isArray(d.grains) ? d.grains : [];
+    setText(els.grains, g.length ? g.map((n, i) => `${letter(i)} ${n}`).join(' · ') : '—');
+    setText(els.drops, String(d.dropped | 0));
+    setText(els.adapt, (d.level | 0) > 0 ? `L${d.level | 0}` : '—');
+  }
+
+  return { update };
+}
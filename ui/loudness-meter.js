@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Loudness meter view (EBU R128 readings from the worklet telemetry).
+ *
+ * Shows momentary (M), short-term (S) and integrated (I) loudness in LUFS, the
+ * loudness range (LRA) in LU and the summary of the last recording.
+ * - update(readout): readout = { momentary, shortTerm, integrated, lra }
+ * - setLastRecording(summary): summary = { integrated, lra, truePeakDb, seconds }
+ * - The RESET button calls onReset (the worklet restarts integrated/LRA)
+ *
+ * Expected HTML structure (missing elements are skipped):
+ *   <output id="lufsMValue">, <output id="lufsSValue">, <output id="lufsIValue">,
+ *   <output id="lraValue">, <output id="lufsRecValue">, <button id="lufsResetBtn">
+ *
+ * @module ui/loudness-meter
+ */
+
+const fmtLufs = (v) => (Number.isFinite(v) ? v.toFixed(1) : '−∞');
+
+export function mountLoudnessMeter({ onReset = null } = {}) {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    m: $('lufsMValue'), s: $('lufsSValue'), i: $('lufsIValue'),
+    lra: $('lraValue'), rec: $('lufsRecValue')
+  };
+  const resetBtn = $('lufsResetBtn');
+
+  // Text is only touched when it changes (telemetry arrives ~30x per second)
+  function setText(el, text) {
+    if (el && el.textContent !== text) el.textContent = text;
+  }
+
+  function update(r = {}) {
+    setText(els.m, fmtLufs(r.momentary));
+    setText(els.s, fmtLufs(r.shortTerm));
+    setText(els.i, fmtLufs(r.integrated));
+    setText(els.lra, Number.isFinite(r.lra) ? r.lra.toFixed(1) : '0.0');
+  }
+
+  function setLastRecording(sum) {
+    if (!sum) { setText(els.rec, '—'); return; }
+    const tp = Number.isFinite(sum.truePeakDb) ? sum.truePeakDb.toFixed(1) : '−∞';
+    setText(els.rec, `${fmtLufs(sum.integrated)} LUFS · LRA ${(sum.lra || 0).toFixed(1)} · TP ${tp}`);
+  }
+
+  function reset() {
+    update({});
+    try { onReset?.(); } catch {}
+  }
+
+  if (resetBtn && !resetBtn.__lufsBound) {
+    resetBtn.__lufsBound = true;
+    resetBtn.addEventListener('click', reset);
+  }
+
+  return { update, setLastRecording, reset };
+}
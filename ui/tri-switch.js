@@ -1,11 +1,12 @@
 /**
- * @fileoverview Three-position slide switch component (A/B/C) with spring physics.
+ * @fileoverview Multi-position slide switch component (A/B/C, up to one stop per cursor)
+ * with spring physics.
  * 
  * Drop-in component for .slide-switch3 already in CSS.
  * - Input: click on rail, drag, keyboard (Arrow, Home/End, PageUp/Down)
- * - ARIA: role="slider", aria-valuenow (0..2), aria-valuetext ("A"/"B"/"C" or custom data-*)
- * - API: initTriSwitch3(el, { value=0, onChange })
- *        -> controller: { value, setValue(i, announce=true), destroy() }
+ * - ARIA: role="slider", aria-valuenow (0..stops-1), aria-valuetext ("A"/"B"/"C" or custom data-*)
+ * - API: initTriSwitch3(el, { value=0, stops=3, onChange })
+ *        -> controller: { value, stops, setValue(i, announce=true), setStops(n), destroy() }
  * 
  * Required DOM structure:
  * <button class="slide-switch3" ...>
@@ -14,27 +15,32 @@
  * </button>
  * (if rail/thumb are missing, they will be created)
  * 
- * Note: CSS uses --steps:2 and --step = travel/steps; we set --pos (0..2, float).
+ * Note: CSS uses --steps (stops-1) and --step = travel/steps; we set --pos (0..stops-1, float).
+ * Switches with more than three stops grow wider (--w) so each stop keeps its size.
  * 
  * @module ui/tri-switch
  */
 
-export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
+export function initTriSwitch3(el, { value = 0, stops = 3, onChange = null } = {}) {
   if (!el) throw new Error('[tri-switch] element not found');
 
+  // Last stop index (0 for a single-position switch)
+  let max = Math.max(0, (stops | 0) - 1);
+  const baseWidth = el.style.getPropertyValue('--w');
+
   // ====== Spring parameters (tuned for "physical" and precise snapping) ======
   // Stiffness (k) and damping (d) differ for center position (less bounce)
   const SPRING = {
-    k: 0.22, d: 0.18,              // outer positions (0 and 2)
-    mid: { k: 0.22, d: 0.4 },     // center (1) -> more dampened
+    k: 0.22, d: 0.18,              // outer positions (0 and max)
+    mid: { k: 0.22, d: 0.4 },     // inner positions -> more dampened
     kickMax: 0.35,                 // maximum "throw" impulse
     maxSteps: 300
   };
   const REDUCED = matchMedia('(prefers-reduced-motion: reduce)').matches;
 
   // ====== State ======
-  let pos = clampIndex(toInt(getAttr(el, 'aria-valuenow'), value)); // 0..2 (float during drag/anim)
-  let target = nearestStop(pos);                                    // 0|1|2
+  let pos = clampIndex(toInt(getAttr(el, 'aria-valuenow'), value)); // 0..max (float during drag/anim)
+  let target = nearestStop(pos);                                    // 0..max
   let v = 0;                                                        // velocity "indices per frame"
   let raf = 0;
   let dragging = null;
@@ -47,7 +53,7 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
   el.setAttribute('role', el.getAttribute('role') || 'slider');
   el.setAttribute('aria-orientation', el.getAttribute('aria-orientation') || 'horizontal');
   el.setAttribute('aria-valuemin', '0');
-  el.setAttribute('aria-valuemax', '2');
+  applyStops();
   applyVisual(pos, false);
   setAria(el, nearestStop(pos));
 
@@ -71,10 +77,10 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
       return;
     }
 
-    // Softer directional kick toward center
+    // Softer directional kick toward inner stops
     const delta = next - pos;
-    const dir = Math.sign(delta || (next === 1 ? 0.0001 : 0)); // avoid 0 when already aligned
-    const kick = dir * Math.min(SPRING.kickMax, Math.abs(delta) * 0.25) * (next === 1 ? 0.55 : 1);
+    const dir = Math.sign(delta || (isInner(next) ? 0.0001 : 0)); // avoid 0 when already aligned
+    const kick = dir * Math.min(SPRING.kickMax, Math.abs(delta) * 0.25) * (isInner(next) ? 0.55 : 1);
     springTo(next, kick, () => {
       setAria(el, next);
       if (announce) emit(before, next);
@@ -91,19 +97,31 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
     window.removeEventListener('pointercancel', onPointerUp);
   }
 
+  // Change the number of stops (the current value is clamped, no event is emitted)
+  function setStops(n) {
+    const nextMax = Math.max(0, (n | 0) - 1);
+    if (nextMax === max) return;
+    stopAnim();
+    max = nextMax;
+    applyStops();
+    pos = target = clampIndex(pos);
+    applyVisual(pos, false);
+    setAria(el, target);
+  }
+
   Object.defineProperty(el, 'value', {
     get() { return nearestStop(pos); },
     set(v) { setValue(v, true); }
   });
   el.setValue = setValue; // easy compatibility
-  const ctrl = { get value(){ return nearestStop(pos); }, setValue, destroy };
+  const ctrl = { get value(){ return nearestStop(pos); }, get stops(){ return max + 1; }, setValue, setStops, destroy };
 
   // ====== Handlers ======
   function onClick(e) {
     if (dragging) return; // end-drag click should not fire
     const { stepPx, pad } = measure(el);
     const rect = el.getBoundingClientRect();
-    const x = clamp(e.clientX - rect.left - pad, 0, stepPx * 2);
+    const x = clamp(e.clientX - rect.left - pad, 0, stepPx * Math.max(1, max));
     const idx = nearestStop(x / stepPx);
     setValue(idx, true);
   }
@@ -113,11 +131,11 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
     const cur = nearestStop(pos);
     let next = cur;
     switch (k) {
-      case ' ': case 'Enter': next = (cur + 1) % 3; break;
-      case 'ArrowRight': case 'ArrowUp': case 'PageUp': next = Math.min(2, cur + 1); break;
+      case ' ': case 'Enter': next = (cur + 1) % (max + 1); break;
+      case 'ArrowRight': case 'ArrowUp': case 'PageUp': next = Math.min(max, cur + 1); break;
       case 'ArrowLeft':  case 'ArrowDown': case 'PageDown': next = Math.max(0, cur - 1); break;
       case 'Home': next = 0; break;
-      case 'End':  next = 2; break;
+      case 'End':  next = max; break;
       default: return;
     }
     e.preventDefault();
@@ -179,8 +197,8 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
       pos = t; applyVisual(pos, true); setAria(el, t); emit(before, t);
       return;
     }
-    // Kick proportional to velocity (dampened for center)
-    const v0 = (dragging?.v || 0) * 60 * (t === 1 ? 0.40 : 1);
+    // Kick proportional to velocity (dampened for inner stops)
+    const v0 = (dragging?.v || 0) * 60 * (isInner(t) ? 0.40 : 1);
     springTo(t, v0, () => { setAria(el, t); emit(before, t); });
   }
 
@@ -191,7 +209,7 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
     v = v0 || 0;
 
     let steps = 0;
-    const { k, d } = (target === 1) ? SPRING.mid : SPRING;
+    const { k, d } = isInner(target) ? SPRING.mid : SPRING;
 
     const step = () => {
       steps++;
@@ -201,9 +219,9 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
       pos += v;
 
       // "Arrival" conditions
-      const closeMid = (target === 1 && Math.abs(pos - 1) < 0.002);
+      const closeMid = (isInner(target) && Math.abs(pos - target) < 0.002);
       const closeMin = (target === 0 && pos < 0.001);
-      const closeMax = (target === 2 && pos > 1.999);
+      const closeMax = (target === max && pos > max - 0.001);
 
       if (closeMid || closeMin || closeMax || steps > SPRING.maxSteps) {
         pos = target;
@@ -221,6 +239,14 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
   }
 
   // ====== Visual/ARIA/Emit ======
+  function applyStops() {
+    el.setAttribute('aria-valuemax', String(max));
+    el.style.setProperty('--steps', String(Math.max(1, max)));
+    if (max > 2) el.style.setProperty('--w', `${30 + 22 * (max + 1)}px`);
+    else if (baseWidth) el.style.setProperty('--w', baseWidth);
+    else el.style.removeProperty('--w');
+  }
+
   function applyVisual(p, animated) {
     el.style.setProperty('--pos', String(clampFloat(p)));
     if (!animated) {
@@ -252,10 +278,11 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
     const pad = parseCssNumber(cs.getPropertyValue('--pad'), 2);
     const thumb = parseCssNumber(cs.getPropertyValue('--thumb'), 30);
     const travel = Math.max(1, w - thumb - pad * 2);
-    const stepPx = travel / 2; // 3 posizioni ⇒ 2 step
+    const stepPx = travel / Math.max(1, max); // N posizioni ⇒ N-1 step
     return { width: w, pad, thumb, travel, stepPx };
   }
   function valueTextFor(node, i) {
+    if (max !== 2) return String.fromCharCode(65 + i); // A, B, C, …
     const map = {
       0: node.dataset?.valuetextLeft   || node.getAttribute('data-valuetext-left')   || 'A',
       1: node.dataset?.valuetextCenter || node.getAttribute('data-valuetext-center') || 'B',
@@ -271,9 +298,10 @@ export function initTriSwitch3(el, { value = 0, onChange = null } = {}) {
     }
   }
   function stopAnim(){ if (raf) cancelAnimationFrame(raf); raf = 0; }
-  function clampIndex(i){ return Math.max(0, Math.min(2, Math.round(i))); }
-  function nearestStop(p){ return Math.max(0, Math.min(2, Math.round(p))); }
-  function clampFloat(p){ return p < 0 ? 0 : (p > 2 ? 2 : p); }
+  function clampIndex(i){ return Math.max(0, Math.min(max, Math.round(i))); }
+  function nearestStop(p){ return Math.max(0, Math.min(max, Math.round(p))); }
+  function clampFloat(p){ return p < 0 ? 0 : (p > max ? max : p); }
+  function isInner(i){ return i > 0 && i < max; }
   function toInt(v, fallback=0){ const n = Number(v); return Number.isFinite(n) ? Math.round(n) : fallback|0; }
   function getAttr(n, k){ const v = n.getAttribute(k); return v == null ? undefined : v; }
   function parseCssNumber(str, fallback){
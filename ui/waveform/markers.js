@@ -1,66 +1,134 @@
 /**
  * @fileoverview Waveform marker rendering and drag handling.
- * Draws position markers (A/B/C) on the waveform canvas and
- * handles pointer-based dragging for cursor positioning.
+ * Draws position markers (A, B, C, … one per cursor; dashed while a one-shot scan
+ * is parked at its end) and the cursor regions (translucent IN/OUT bands) on the
+ * waveform canvas, and handles pointer-based dragging of markers and region edges.
  *
  * @module ui/waveform/markers
  */
 
 import { setEngineHooks } from '../../app/engine/audio-engine.js';
-import { positions, activeCursor, setActiveCursor, sendPositions } from '../../app/state/cursors.js';
+import { positions, activeCursor, cursorCount, setActiveCursor, sendPositions, setCursorRegion } from '../../app/state/cursors.js';
+import { MAX_CURSORS, cursorParams } from '../../app/state/params.js';
+import { SCAN_MODE, scanBounds } from '../../worklet/dsp/scan.js';
 import { getAudioBuffer } from '../../app/session/buffer-session.js';
-import { drawWaveform } from './waveform.js';
+import { drawWaveform, requestWaveformRedraw } from './waveform.js';
 
 const $ = (id) => document.getElementById(id);
 function clamp01(x) { return Math.max(0, Math.min(1, x)); }
 
 // Marker drag state
 let dragState = { active:false, armed:false, which:-1, startX:0, startTime:0, pointerId:null };
-export const dragLock = [false, false, false];
+// Region edge drag state (edge: 0 = IN, 1 = OUT)
+let regionDrag = { cursor:-1, edge:-1 };
+export const dragLock = new Array(MAX_CURSORS).fill(false);
+
+// Marker colors, indexed by cursor (match the .granular-ui[data-cursor] themes)
+const MARKER_COLORS = [
+  "hsla(132, 10%, 58%, 1.00)", // A (green)
+  "hsla(200, 17%, 58%, 1.00)", // B (blue)
+  "hsla(0, 17%, 58%, 1.00)",   // C (red/orange)
+  "hsla(40, 22%, 58%, 1.00)",  // D (ochre)
+  "hsla(270, 15%, 62%, 1.00)", // E (violet)
+  "hsla(170, 18%, 55%, 1.00)", // F (teal)
+  "hsla(320, 16%, 60%, 1.00)", // G (mauve)
+  "hsla(70, 16%, 55%, 1.00)"   // H (olive)
+];
+
+// One-shot scans that reached their end (cleared once the cursor leaves the edge)
+const scanEnded = new Array(MAX_CURSORS).fill(false);
+const endBounds = { lo: 0, hi: 1 };
 
 // Connect dragLock to the engine (prevents position updates from worklet during drag)
-setEngineHooks({ dragLockRef: dragLock });
+// and mark cursors whose one-shot scan has finished
+setEngineHooks({
+  dragLockRef: dragLock,
+  onScanEnd: (cursor) => {
+    if (cursor < 0 || cursor >= MAX_CURSORS) return;
+    scanEnded[cursor] = true;
+    requestWaveformRedraw();
+  }
+});
+
+// Still parked at the end: one-shot mode and sitting on a scan bound
+function isScanEnded(i){
+  if (!scanEnded[i]) return false;
+  const p = cursorParams[i];
+  if (p && (p.scanMode | 0) === SCAN_MODE.ONE_SHOT) {
+    const { lo, hi } = scanBounds(p, endBounds);
+    if (Math.abs(positions[i] - lo) < 1e-4 || Math.abs(positions[i] - hi) < 1e-4) return true;
+  }
+  scanEnded[i] = false;
+  return false;
+}
 
 function isMicLive(){
   return !!document.querySelector('.granular-ui')?.classList.contains('mic-live');
 }
 
+// Region is shown when it confines the cursor or the scan loops between IN/OUT
+function hasVisibleRegion(i){
+  const p = cursorParams[i];
+  return !!p && (!!p.regionOn || (p.scanMode | 0) === SCAN_MODE.LOOP);
+}
+
+function drawRegions(ctx, canvas){
+  const dpr = window.devicePixelRatio || 1;
+  for (let i = 0; i < cursorCount; i++) {
+    if (!hasVisibleRegion(i)) continue;
+    const p = cursorParams[i];
+    const x0 = Math.min(p.loopStart, p.loopEnd) * canvas.width;
+    const x1 = Math.max(p.loopStart, p.loopEnd) * canvas.width;
+    const active = (i === activeCursor);
+
+    ctx.save();
+    ctx.fillStyle   = MARKER_COLORS[i];
+    ctx.globalAlpha = active ? 0.20 : 0.10;
+    ctx.fillRect(x0, 0, Math.max(1, x1 - x0), canvas.height);
+    // Edges (drag handles)
+    ctx.globalAlpha = active ? 0.85 : 0.45;
+    ctx.strokeStyle = MARKER_COLORS[i];
+    ctx.lineWidth   = (regionDrag.cursor === i ? 2 : 1) * dpr;
+    ctx.setLineDash(regionDrag.cursor === i ? [] : [4 * dpr, 3 * dpr]);
+    ctx.beginPath();
+    ctx.moveTo(x0, 0); ctx.lineTo(x0, canvas.height);
+    ctx.moveTo(x1, 0); ctx.lineTo(x1, canvas.height);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
 export function drawMarkers(ctx, canvas){
   if (isMicLive()) return;
 
-  const draggingA = dragState.active && dragState.which === 0;
-  const draggingB = dragState.active && dragState.which === 1;
-  const draggingC = dragState.active && dragState.which === 2;
+  // Region bands sit behind the markers
+  drawRegions(ctx, canvas);
 
-  const colors = [
-    "hsla(132, 10%, 58%, 1.00)", // A (green)
-    "hsla(200, 17%, 58%, 1.00)", // B (blue)
-    "hsla(0, 17%, 58%, 1.00)"    // C (red/orange)
-  ];
-  const labels = ["A","B","C"];
-  const drags  = [draggingA, draggingB, draggingC];
-  const order = [0,1,2].filter(i => i !== activeCursor).concat(activeCursor);
+  // Active cursor last, so it is drawn on top
+  const order = [];
+  for (let i = 0; i < cursorCount; i++) if (i !== activeCursor) order.push(i);
+  order.push(activeCursor);
 
   for (const i of order) {
     drawMarker(
       ctx, canvas,
+      i,
       positions[i],
-      colors[i],
-      labels[i],
+      MARKER_COLORS[i],
       activeCursor === i,
-      drags[i]
+      dragState.active && dragState.which === i,
+      isScanEnded(i)
     );
   }
 }
 
-function drawMarker(ctx, canvas, posNorm, color, label, isActive, isDragging) {
+function drawMarker(ctx, canvas, idx, posNorm, color, isActive, isDragging, isEnded) {
   if (isMicLive()) return;
 
   const dpr   = window.devicePixelRatio || 1;
   const x     = posNorm * canvas.width;
   const baseW = 3 * dpr, activeW = 6 * dpr;
 
-  const idx = (label === 'A' ? 0 : (label === 'B' ? 1 : 2));
   const targetW = (isActive || isDragging) ? activeW : baseW;
 
   const now        = performance.now();
@@ -69,8 +137,8 @@ function drawMarker(ctx, canvas, posNorm, color, label, isActive, isDragging) {
   const DT_CAP     = 16;
 
   const st = drawMarker.__state || (drawMarker.__state = {
-    w: [baseW, baseW, baseW],
-    t: [now,   now,   now  ],
+    w: new Array(MAX_CURSORS).fill(baseW),
+    t: new Array(MAX_CURSORS).fill(now),
     raf: 0
   });
 
@@ -115,13 +183,14 @@ function drawMarker(ctx, canvas, posNorm, color, label, isActive, isDragging) {
     ctx.restore();
   }
 
-  // Step 2: Central line
+  // Step 2: Central line (dashed and dimmed once a one-shot scan has ended)
   ctx.save();
   ctx.shadowColor = 'transparent';
   ctx.shadowBlur  = 0;
   ctx.lineWidth   = lineW;
-  ctx.lineCap     = 'round';
+  ctx.lineCap     = isEnded ? 'butt' : 'round';
   ctx.strokeStyle = color;
+  if (isEnded) { ctx.setLineDash([4 * dpr, 4 * dpr]); ctx.globalAlpha = 0.6; }
   ctx.beginPath(); ctx.moveTo(x, y0); ctx.lineTo(x, y1); ctx.stroke();
   ctx.restore();
 
@@ -138,16 +207,13 @@ function hitWhichMarker(e){
   const canvas = $("waveformCanvas");
   const rect = canvas.getBoundingClientRect();
   const xCss = e.clientX - rect.left;
-  const xs = [positions[0] * rect.width, positions[1] * rect.width, positions[2] * rect.width];
   const base = 6;
-  const tol = [
-    (activeCursor === 0 ? base + 2 : base),
-    (activeCursor === 1 ? base + 2 : base),
-    (activeCursor === 2 ? base + 2 : base)
-  ];
-  const d = xs.map((xx, i) => Math.abs(xCss - xx));
-  const hits = d.map((dist, i) => dist <= tol[i]);
-  const indices = [0,1,2].filter(i => hits[i]);
+  const d = [], indices = [];
+  for (let i = 0; i < cursorCount; i++) {
+    d[i] = Math.abs(xCss - positions[i] * rect.width);
+    const tol = (activeCursor === i ? base + 2 : base);
+    if (d[i] <= tol) indices.push(i);
+  }
   if (indices.length === 0) return -1;
   if (indices.length === 1) return indices[0];
   let best = indices[0], bestD = d[best];
@@ -155,6 +221,25 @@ function hitWhichMarker(e){
   return best;
 }
 
+// Nearest region edge under the pointer ({cursor, edge} or null); the active cursor wins ties
+function hitRegionEdge(e){
+  const canvas = $("waveformCanvas");
+  const rect = canvas.getBoundingClientRect();
+  const xCss = e.clientX - rect.left;
+  const tol = 5;
+  let best = null, bestD = Infinity;
+  for (let i = 0; i < cursorCount; i++) {
+    if (!hasVisibleRegion(i)) continue;
+    const p = cursorParams[i];
+    const edges = [p.loopStart, p.loopEnd];
+    for (let k = 0; k < 2; k++) {
+      const d = Math.abs(xCss - edges[k] * rect.width) - (i === activeCursor ? 0.5 : 0);
+      if (d <= tol && d < bestD) { best = { cursor: i, edge: k }; bestD = d; }
+    }
+  }
+  return best;
+}
+
 export function initMarkerDragging(){
   const canvas = $("waveformCanvas");
   if (!canvas) return;
@@ -168,7 +253,18 @@ export function initMarkerDragging(){
     if (!getAudioBuffer() || isMicLive()) return;
 
     const which = hitWhichMarker(e);
-    if (which === -1) return;
+    if (which === -1) {
+      // Not on a marker: try a region edge
+      const edge = hitRegionEdge(e);
+      if (!edge) return;
+      regionDrag = edge;
+      setActiveCursor(edge.cursor);
+      try { canvas.setPointerCapture(e.pointerId); } catch {}
+      pointerId = e.pointerId;
+      const buf = getAudioBuffer();
+      if (buf) requestAnimationFrame(() => drawWaveform(buf));
+      return;
+    }
 
     dragState = {
       active:   false,
@@ -190,9 +286,21 @@ export function initMarkerDragging(){
   };
 
   const onPointerMove = (e) => {
+    if (regionDrag.cursor >= 0) {
+      const rect = canvas.getBoundingClientRect();
+      const xNorm = clamp01((e.clientX - rect.left) / rect.width);
+      const p = cursorParams[regionDrag.cursor];
+      if (regionDrag.edge === 0) setCursorRegion(regionDrag.cursor, xNorm, p.loopEnd);
+      else                       setCursorRegion(regionDrag.cursor, p.loopStart, xNorm);
+      const buf = getAudioBuffer();
+      if (buf) drawWaveform(buf);
+      return;
+    }
+
     if (dragState.which < 0) {
+      if (isMicLive()) { canvas.style.cursor = "default"; return; }
       const whichHover = hitWhichMarker(e);
-      canvas.style.cursor = (whichHover === -1 || isMicLive()) ? "default" : "col-resize";
+      canvas.style.cursor = (whichHover !== -1) ? "col-resize" : (hitRegionEdge(e) ? "ew-resize" : "default");
       return;
     }
 
@@ -225,6 +333,7 @@ export function initMarkerDragging(){
     pointerId = null;
 
     dragState = { active:false, armed:false, which:-1, startX:0, startTime:0, pointerId:null };
+    regionDrag = { cursor:-1, edge:-1 };
     canvas.style.cursor = "default";
     const buf = getAudioBuffer();
     if (buf) requestAnimationFrame(() => drawWaveform(buf));
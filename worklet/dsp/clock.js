@@ -0,0 +1,127 @@
+/**
+ * @file clock.js
+ * @description Sample-accurate tempo clock for tempo-synced grain triggering.
+ *   Tracks the musical position in quarter notes (BPM, swing, time signature)
+ *   and lists the step onsets of a note division that fall inside a block.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+/**
+ * Note divisions for the per-cursor `syncDiv` parameter, as length in quarter notes.
+ * Index 0 means "free-running" (no tempo sync).
+ */
+export const DIVISIONS = Object.freeze([
+  { label: 'free',  q: 0 },
+  { label: '1/1',   q: 4 },
+  { label: '1/2',   q: 2 },
+  { label: '1/2T',  q: 4 / 3 },
+  { label: '1/4',   q: 1 },
+  { label: '1/4T',  q: 2 / 3 },
+  { label: '1/8D',  q: 0.75 },
+  { label: '1/8',   q: 0.5 },
+  { label: '1/8T',  q: 1 / 3 },
+  { label: '1/16',  q: 0.25 },
+  { label: '1/16T', q: 1 / 6 },
+  { label: '1/32',  q: 0.125 }
+]);
+
+/** Accent level of a step: off-beat, on a beat, bar downbeat */
+export const STEP_LEVEL = Object.freeze({ OFF: 0, BEAT: 1, DOWNBEAT: 2 });
+
+const MAX_STEPS_PER_BLOCK = 64;
+const EPS_Q = 1e-9;
+
+/**
+ * Create clock state object.
+ * @param {number} sampleRate
+ * @param {object} [opts]
+ * @param {number} [opts.bpm=120]        Tempo in quarter notes per minute
+ * @param {number} [opts.swing=0]        0..1, delays every odd step by up to half a step
+ * @param {number} [opts.beatsPerBar=4]  Time signature numerator
+ * @param {number} [opts.beatUnit=4]     Time signature denominator
+ */
+export function createClock(sampleRate, opts = {}) {
+  const state = {
+    sr: sampleRate,
+    bpm: 120,
+    swing: 0,
+    beatsPerBar: 4,
+    beatUnit: 4,
+    framesPerQuarter: sampleRate / 2,
+    posQ: 0,                                      // musical position (quarter notes)
+    stepOffsets: new Int32Array(MAX_STEPS_PER_BLOCK),
+    stepLevels:  new Uint8Array(MAX_STEPS_PER_BLOCK)
+  };
+  setClock(state, opts);
+  return state;
+}
+
+/**
+ * Update tempo/swing/time signature (position is preserved).
+ * @param {ReturnType<typeof createClock>} s
+ * @param {{bpm?:number, swing?:number, beatsPerBar?:number, beatUnit?:number}} opts
+ */
+export function setClock(s, opts = {}) {
+  if (Number.isFinite(opts.bpm))         s.bpm = clamp(opts.bpm, 20, 400);
+  if (Number.isFinite(opts.swing))       s.swing = clamp(opts.swing, 0, 1);
+  if (Number.isFinite(opts.beatsPerBar)) s.beatsPerBar = clamp(Math.round(opts.beatsPerBar), 1, 32);
+  if (Number.isFinite(opts.beatUnit))    s.beatUnit = [1, 2, 4, 8, 16].includes(opts.beatUnit) ? opts.beatUnit : 4;
+  s.framesPerQuarter = s.sr * 60 / s.bpm;
+}
+
+/** Restart from bar 1, beat 1 */
+export function resetClock(s) {
+  s.posQ = 0;
+}
+
+/** Advance the clock by a block */
+export function advanceClock(s, frames) {
+  s.posQ += frames / s.framesPerQuarter;
+}
+
+// Position x is on a grid of period `len` (tolerant to float error)
+const onGrid = (x, len) => {
+  const r = x - Math.round(x / len) * len;
+  return Math.abs(r) < 1e-6;
+};
+
+/**
+ * Collect the step onsets of a division inside the next `frames` frames
+ * (starting at the current position, BEFORE advanceClock is called).
+ * Results are written to s.stepOffsets (frame index in block) and s.stepLevels.
+ *
+ * @param {ReturnType<typeof createClock>} s
+ * @param {number} divIndex index into DIVISIONS (0 = none)
+ * @param {number} frames block length
+ * @returns {number} number of steps found
+ */
+export function stepsInBlock(s, divIndex, frames) {
+  const div = DIVISIONS[divIndex | 0];
+  if (!div || div.q <= 0) return 0;
+
+  const L   = div.q;
+  const q0  = s.posQ;
+  const q1  = q0 + frames / s.framesPerQuarter;
+  const sw  = s.swing * 0.5 * L;                  // delay of odd steps
+  const beatQ = 4 / s.beatUnit;
+  const barQ  = beatQ * s.beatsPerBar;
+
+  let n = 0;
+  const kStart = Math.floor(q0 / L) - 1;          // -1: a swung odd step may still be pending
+  const kEnd   = Math.ceil(q1 / L);
+  for (let k = Math.max(0, kStart); k <= kEnd && n < MAX_STEPS_PER_BLOCK; k++) {
+    const nominal = k * L;
+    const onset = nominal + ((k & 1) ? sw : 0);
+    if (onset < q0 - EPS_Q || onset >= q1 - EPS_Q) continue;   // EPS_Q: float drift of posQ
+    s.stepOffsets[n] = clamp(Math.floor((onset - q0) * s.framesPerQuarter + 1e-6), 0, frames - 1);
+    s.stepLevels[n]  = onGrid(nominal, barQ)  ? STEP_LEVEL.DOWNBEAT
+                     : onGrid(nominal, beatQ) ? STEP_LEVEL.BEAT
+                     : STEP_LEVEL.OFF;
+    n++;
+  }
+  return n;
+}
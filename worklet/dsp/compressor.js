@@ -0,0 +1,104 @@
+/**
+ * @file compressor.js
+ * @description Stereo-linked glue compressor for the master bus.
+ *   Feed-forward peak detector with soft knee, attack/release smoothing in the
+ *   dB domain and makeup gain. Bypass releases the gain reduction and makeup
+ *   smoothly, then skips the block entirely.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+const num = (v, fallback) => (v == null || !Number.isFinite(Number(v))) ? fallback : Number(v);
+const coef = (ms, sr) => Math.exp(-1 / (sr * (Math.max(0.05, ms) / 1000)));
+
+/**
+ * Create compressor state object.
+ * @param {number} sampleRate
+ * @param {object} [opts] initial settings (see setCompressorOptions)
+ */
+export function createCompressor(sampleRate, opts = {}) {
+  const c = {
+    sr: sampleRate,
+    thresholdDb: -18,
+    ratio: 2,
+    kneeDb: 6,
+    attackMs: 10,
+    releaseMs: 150,
+    makeupDb: 0,
+    bypass: true,
+    att: 0, rel: 0,
+    grDb: 0,          // current gain reduction (<= 0)
+    makeupS: 0,       // smoothed makeup (dB)
+    kMakeup: 1 - Math.exp(-1 / (sampleRate * 0.02))
+  };
+  setCompressorOptions(c, opts);
+  return c;
+}
+
+/**
+ * Update settings (missing keys are kept).
+ * @param {ReturnType<typeof createCompressor>} c
+ * @param {{thresholdDb?:number, ratio?:number, kneeDb?:number, attackMs?:number,
+ *          releaseMs?:number, makeupDb?:number, bypass?:boolean}} o
+ */
+export function setCompressorOptions(c, o = {}) {
+  c.thresholdDb = clamp(num(o.thresholdDb, c.thresholdDb), -60, 0);
+  c.ratio       = clamp(num(o.ratio,       c.ratio),       1, 20);
+  c.kneeDb      = clamp(num(o.kneeDb,      c.kneeDb),      0, 24);
+  c.attackMs    = clamp(num(o.attackMs,    c.attackMs),    0.1, 200);
+  c.releaseMs   = clamp(num(o.releaseMs,   c.releaseMs),   5, 2000);
+  c.makeupDb    = clamp(num(o.makeupDb,    c.makeupDb),    0, 24);
+  if (o.bypass != null) c.bypass = !!o.bypass;
+  c.att = coef(c.attackMs, c.sr);
+  c.rel = coef(c.releaseMs, c.sr);
+}
+
+// Static curve: gain change (dB, <= 0) for an input level (dB)
+function gainComputer(xDb, thr, ratio, knee) {
+  const over = xDb - thr;
+  const slope = 1 / ratio - 1;
+  if (knee > 0 && 2 * Math.abs(over) <= knee) {
+    const t = over + knee / 2;
+    return slope * t * t / (2 * knee);
+  }
+  return over > 0 ? slope * over : 0;
+}
+
+/**
+ * Compress one block in place.
+ * @param {ReturnType<typeof createCompressor>} c
+ * @param {Float32Array} L
+ * @param {Float32Array} R
+ * @returns {number} deepest gain reduction in the block (dB, <= 0)
+ */
+export function processCompressor(c, L, R) {
+  const n = L.length;
+  const active = !c.bypass;
+  if (!active && c.grDb > -0.001 && c.makeupS < 0.001) {
+    c.grDb = 0; c.makeupS = 0;
+    return 0;
+  }
+
+  const thr = c.thresholdDb, ratio = c.ratio, knee = c.kneeDb;
+  const att = c.att, rel = c.rel, kM = c.kMakeup;
+  const makeupT = active ? c.makeupDb : 0;
+  let g = c.grDb, mk = c.makeupS, deepest = 0;
+
+  for (let i = 0; i < n; i++) {
+    let target = 0;
+    if (active) {
+      const x = Math.max(Math.abs(L[i]), Math.abs(R[i]));
+      if (x > 1e-6) target = gainComputer(20 * Math.log10(x), thr, ratio, knee);
+    }
+    g = (target < g) ? att * g + (1 - att) * target : rel * g + (1 - rel) * target;
+    mk += (makeupT - mk) * kM;
+    const gain = Math.pow(10, (g + mk) / 20);
+    L[i] *= gain; R[i] *= gain;
+    if (g < deepest) deepest = g;
+  }
+
+  c.grDb = g; c.makeupS = mk;
+  return deepest;
+}
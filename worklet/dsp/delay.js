@@ -0,0 +1,152 @@
+/**
+ * @file delay.js
+ * @description Per-cursor stereo delay insert (runs after the cursor filter).
+ *   Stereo or ping-pong echoes with a one-pole damping lowpass inside the feedback
+ *   loop and a wet/dry mix. Every parameter is smoothed per sample; the delay time
+ *   glides with a fractional (linear) read, so automation never zippers.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+/** Longest delay time (seconds); synced times are clamped to it */
+export const MAX_DELAY_SEC = 2;
+
+const SILENCE = 1e-5;    // below this the line is considered empty
+const FB_MAX  = 0.95;    // keeps the loop stable whatever the damping
+
+/**
+ * Create delay state object.
+ * @param {number} sampleRate
+ * @param {object} [opts]
+ * @param {number} [opts.timeGlideMs=80] Delay-time smoothing (tape-like glide)
+ * @param {number} [opts.paramMs=20]     Feedback/damping/mix smoothing
+ */
+export function createDelay(sampleRate, opts = {}) {
+  const size = Math.ceil(sampleRate * MAX_DELAY_SEC) + 4;
+  const t0 = sampleRate * 0.35;
+  return {
+    sr: sampleRate,
+    size,
+    bufL: new Float32Array(size),
+    bufR: new Float32Array(size),
+    write: 0,
+    // targets / smoothed values (time in samples, damp as one-pole coefficient)
+    timeT: t0, time: t0,
+    fbT: 0,    fb: 0,
+    dampT: 1,  damp: 1,
+    mixT: 0,   mix: 0,
+    pingPong: false,
+    lpL: 0, lpR: 0,
+    kTime:  1 - Math.exp(-1 / (sampleRate * ((opts.timeGlideMs ?? 80) / 1000))),
+    kParam: 1 - Math.exp(-1 / (sampleRate * ((opts.paramMs ?? 20) / 1000))),
+    quiet: Infinity,     // frames since something audible entered the line
+    cleared: true        // line is known to be all zeros
+  };
+}
+
+/** Damping 0..1 -> feedback lowpass coefficient (0 = open, 1 = dark, ~500 Hz) */
+export function dampToCoef(damp01, sampleRate) {
+  const fc = Math.min(20000 * Math.pow(500 / 20000, clamp(damp01 || 0, 0, 1)), 0.45 * sampleRate);
+  return 1 - Math.exp(-2 * Math.PI * fc / sampleRate);
+}
+
+/**
+ * Set the targets the delay glides to.
+ * @param {ReturnType<typeof createDelay>} d
+ * @param {{timeSec:number, feedback:number, damp:number, mix:number, pingPong:boolean}} t
+ */
+export function setDelayTargets(d, { timeSec, feedback, damp, mix, pingPong }) {
+  d.timeT = clamp(Number(timeSec) || 0, 0.001, MAX_DELAY_SEC) * d.sr;
+  d.fbT   = clamp(Number(feedback) || 0, 0, FB_MAX);
+  d.dampT = dampToCoef(damp, d.sr);
+  d.mixT  = clamp(Number(mix) || 0, 0, 1);
+  d.pingPong = !!pingPong;
+}
+
+/** Clear the line (e.g. when a cursor is removed) */
+export function resetDelay(d) {
+  d.bufL.fill(0); d.bufR.fill(0);
+  d.lpL = d.lpR = 0;
+  d.mix = d.mixT = 0;
+  d.quiet = Infinity;
+  d.cleared = true;
+}
+
+/** True while echoes are still audible (keeps the engine running after the grains stop) */
+export function delayActive(d) {
+  return (d.mix > 0 || d.mixT > 0) && d.quiet <= d.time + 128;
+}
+
+/**
+ * Run one block: accumulates dry/wet into outL/outR (caller zeroes the output).
+ * @param {ReturnType<typeof createDelay>} d
+ * @param {Float32Array} inL
+ * @param {Float32Array} inR
+ * @param {Float32Array} outL
+ * @param {Float32Array} outR
+ */
+export function processDelay(d, inL, inR, outL, outR) {
+  const n = inL.length;
+
+  // Bypassed: pass the dry signal, drop stale echoes once
+  if (d.mix === 0 && d.mixT === 0) {
+    for (let i = 0; i < n; i++) { outL[i] += inL[i]; outR[i] += inR[i]; }
+    if (!d.cleared) resetDelay(d);
+    return;
+  }
+  d.cleared = false;
+
+  const size = d.size, bufL = d.bufL, bufR = d.bufR;
+  const kT = d.kTime, kP = d.kParam, pp = d.pingPong;
+  const timeT = d.timeT, fbT = d.fbT, dampT = d.dampT, mixT = d.mixT;
+  let w = d.write, time = d.time, fb = d.fb, damp = d.damp, mix = d.mix;
+  let lpL = d.lpL, lpR = d.lpR, peak = 0;
+
+  for (let i = 0; i < n; i++) {
+    time += (timeT - time) * kT;
+    fb   += (fbT   - fb)   * kP;
+    damp += (dampT - damp) * kP;
+    mix  += (mixT  - mix)  * kP;
+
+    // Fractional read, linear interpolation
+    let rp = w - time;
+    if (rp < 0) rp += size;
+    const i0 = rp | 0, fr = rp - i0;
+    const i1 = (i0 + 1 === size) ? 0 : i0 + 1;
+    const dl = bufL[i0] + (bufL[i1] - bufL[i0]) * fr;
+    const dr = bufR[i0] + (bufR[i1] - bufR[i0]) * fr;
+
+    // Damping inside the loop: every repeat gets darker
+    lpL += (dl - lpL) * damp;
+    lpR += (dr - lpR) * damp;
+
+    const xL = inL[i], xR = inR[i];
+    let wl, wr;
+    if (pp) {
+      // Mono input enters on the left, repeats cross sides
+      wl = (xL + xR) * 0.5 + fb * lpR;
+      wr = fb * lpL;
+    } else {
+      wl = xL + fb * lpL;
+      wr = xR + fb * lpR;
+    }
+    bufL[w] = wl; bufR[w] = wr;
+    const a = Math.max(Math.abs(wl), Math.abs(wr));
+    if (a > peak) peak = a;
+
+    outL[i] += xL + (dl - xL) * mix;
+    outR[i] += xR + (dr - xR) * mix;
+    if (++w === size) w = 0;
+  }
+
+  if (Math.abs(lpL) < 1e-24) lpL = 0;
+  if (Math.abs(lpR) < 1e-24) lpR = 0;
+  if (mixT === 0 && mix < 1e-5) mix = 0;
+
+  d.write = w; d.time = time; d.fb = fb; d.damp = damp; d.mix = mix;
+  d.lpL = lpL; d.lpR = lpR;
+  d.quiet = (peak > SILENCE) ? 0 : d.quiet + n;
+}
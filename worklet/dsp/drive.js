@@ -0,0 +1,218 @@
+/**
+ * @file drive.js
+ * @description Oversampled drive (waveshaper) for the per-cursor filter input.
+ *   Saturation curves: tanh, asymmetric tube, hard clip, foldback.
+ *   The curve runs at 1x, 2x or 4x the base rate; up/down-sampling uses
+ *   Kaiser-windowed half-band FIRs (2x -> ~80 dB, 4x adds a shorter second
+ *   stage), so the harmonics of a hot drive no longer fold back as aliasing.
+ *   Drive is ramped per sample; switching the stage on/off crossfades with the
+ *   dry signal so the filter latency change does not click.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+export const DRIVE_CURVES = Object.freeze({
+  TANH: 0,   // symmetric soft clip (previous behavior)
+  TUBE: 1,   // asymmetric soft clip (even harmonics, DC removed)
+  HARD: 2,   // hard clip at ±1
+  FOLD: 3    // triangle foldback above ±1
+});
+
+/** Allowed oversampling factors */
+export const DRIVE_OVERSAMPLE = Object.freeze([1, 2, 4]);
+
+const HB_TAPS_1 = 12;   // base <-> 2x: 12 non-zero taps per side (47-tap FIR)
+const HB_TAPS_2 = 4;    // 2x <-> 4x: content is already band-limited, short filter
+const KAISER_BETA = 8;
+const DC_HZ = 20;       // DC blocker corner for the tube curve
+
+// Modified Bessel I0 (series), for the Kaiser window
+function besselI0(x) {
+  let s = 1, t = 1;
+  for (let k = 1; k < 30; k++) { t *= (x / (2 * k)) * (x / (2 * k)); s += t; if (t < 1e-12 * s) break; }
+  return s;
+}
+
+// Non-zero half-band taps h[1], h[3], …, h[2K-1] (centre tap is 0.5), DC gain 1
+function halfbandTaps(K) {
+  const half = 2 * K - 1;                 // FIR spans -half..+half
+  const i0b = besselI0(KAISER_BETA);
+  const c = new Float64Array(K);
+  let sum = 0;
+  for (let i = 0; i < K; i++) {
+    const o = 2 * i + 1;
+    const r = o / (half + 1);
+    const w = besselI0(KAISER_BETA * Math.sqrt(Math.max(0, 1 - r * r))) / i0b;
+    c[i] = (Math.sin(Math.PI * o / 2) / (Math.PI * o)) * w;
+    sum += c[i];
+  }
+  const g = 0.5 / (2 * sum);              // 0.5 + 2·Σc = 1
+  for (let i = 0; i < K; i++) c[i] *= g;
+  return c;
+}
+
+const COEF_1 = halfbandTaps(HB_TAPS_1);
+const COEF_2 = halfbandTaps(HB_TAPS_2);
+
+// One half-band 2x interpolator + decimator pair, one channel
+function createStage(coef) {
+  const K = coef.length;
+  return {
+    c: coef, K,
+    up: new Float32Array(4 * K), upPos: 0,       // last 2K inputs, stored twice (no modulo)
+    odd: new Float32Array(4 * K), oddPos: 0,     // last 2K odd samples of the fast stream
+    even: new Float32Array(K), evenPos: 0        // even samples delayed by K-1
+  };
+}
+
+function clearStage(s) {
+  s.up.fill(0); s.odd.fill(0); s.even.fill(0);
+  s.upPos = s.oddPos = s.evenPos = 0;
+}
+
+// n inputs -> 2n outputs (latency K input samples)
+function upsample2(s, inp, out, n) {
+  const c = s.c, K = s.K, H = 2 * K, h = s.up;
+  let p = s.upPos;
+  for (let j = 0; j < n; j++) {
+    h[p] = h[p + H] = inp[j];
+    p = (p + 1 === H) ? 0 : p + 1;
+    // window h[p .. p+2K-1] = x[n-2K+1 .. n], oldest first
+    let mid = 0;
+    for (let i = 0; i < K; i++) mid += c[i] * (h[p + K - 1 - i] + h[p + K + i]);
+    out[2 * j]     = h[p + K - 1];            // x[n-K]
+    out[2 * j + 1] = 2 * mid;                 // midpoint x[n-K+0.5]
+  }
+  s.upPos = p;
+}
+
+// 2n inputs -> n outputs
+function downsample2(s, inp, out, n) {
+  const c = s.c, K = s.K, H = 2 * K, o = s.odd, e = s.even;
+  let p = s.oddPos, q = s.evenPos;
+  for (let j = 0; j < n; j++) {
+    o[p] = o[p + H] = inp[2 * j + 1];
+    p = (p + 1 === H) ? 0 : p + 1;
+    // centre = even sample from K-1 frames ago
+    const centre = K > 1 ? e[q] : inp[2 * j];
+    if (K > 1) { e[q] = inp[2 * j]; q = (q + 1 === K - 1) ? 0 : q + 1; }
+    let acc = 0.5 * centre;
+    for (let i = 0; i < K; i++) acc += c[i] * (o[p + K - 1 - i] + o[p + K + i]);
+    out[j] = acc;
+  }
+  s.oddPos = p; s.evenPos = q;
+}
+
+/**
+ * Create drive state (both channels).
+ * @param {number} sampleRate base rate
+ */
+export function createDrive(sampleRate) {
+  return {
+    sr: sampleRate,
+    s1: [createStage(COEF_1), createStage(COEF_1)],
+    s2: [createStage(COEF_2), createStage(COEF_2)],
+    factor: 1,
+    drive: 1,             // value at the end of the last block
+    active: false,
+    dcR: Math.exp(-2 * Math.PI * DC_HZ / sampleRate),
+    dc: new Float64Array(4),    // [xL, yL, xR, yR]
+    x2: new Float32Array(256),
+    x4: new Float32Array(512),
+    wet: new Float32Array(128)
+  };
+}
+
+/** Clear filter memories (e.g. after a long silence or a factor change) */
+export function resetDrive(st) {
+  for (const s of st.s1) clearStage(s);
+  for (const s of st.s2) clearStage(s);
+  st.dc.fill(0);
+}
+
+function shape(x, curve) {
+  switch (curve) {
+    case DRIVE_CURVES.TUBE: return x >= 0 ? Math.tanh(x) : Math.tanh(0.6 * x) / 0.6;
+    case DRIVE_CURVES.HARD: return x > 1 ? 1 : (x < -1 ? -1 : x);
+    case DRIVE_CURVES.FOLD: {
+      const t = (x + 1) * 0.25;
+      return 1 - 4 * Math.abs(t - Math.floor(t) - 0.5);
+    }
+    default: return Math.tanh(x);
+  }
+}
+
+// Saturate `n` fast-rate samples in place, drive ramping d0 -> d1
+function shapeBlock(buf, n, d0, d1, curve) {
+  const step = (d1 - d0) / n;
+  let d = d0;
+  for (let i = 0; i < n; i++) { d += step; buf[i] = shape(buf[i] * d, curve); }
+}
+
+// One channel through up -> shape -> down, result in `out`
+function runChannel(st, ch, inp, out, n, d0, d1, curve) {
+  const f = st.factor;
+  if (f === 1) {
+    for (let i = 0; i < n; i++) out[i] = inp[i];
+    shapeBlock(out, n, d0, d1, curve);
+  } else if (f === 2) {
+    upsample2(st.s1[ch], inp, st.x2, n);
+    shapeBlock(st.x2, 2 * n, d0, d1, curve);
+    downsample2(st.s1[ch], st.x2, out, n);
+  } else {
+    upsample2(st.s1[ch], inp, st.x2, n);
+    upsample2(st.s2[ch], st.x2, st.x4, 2 * n);
+    shapeBlock(st.x4, 4 * n, d0, d1, curve);
+    downsample2(st.s2[ch], st.x4, st.x2, 2 * n);
+    downsample2(st.s1[ch], st.x2, out, n);
+  }
+  if (curve === DRIVE_CURVES.TUBE) {
+    // asymmetric curve: remove the DC it creates
+    const R = st.dcR, k = 2 * ch;
+    let x1 = st.dc[k], y1 = st.dc[k + 1];
+    for (let i = 0; i < n; i++) { const x = out[i]; y1 = x - x1 + R * y1; x1 = x; out[i] = y1; }
+    st.dc[k] = x1; st.dc[k + 1] = Math.abs(y1) < 1e-20 ? 0 : y1;
+  }
+}
+
+/**
+ * Drive one stereo block in place.
+ * @param {ReturnType<typeof createDrive>} st
+ * @param {Float32Array} L
+ * @param {Float32Array} R
+ * @param {number} drive target input gain (1 = off)
+ * @param {number} curve DRIVE_CURVES value
+ * @param {number} factor oversampling (1, 2 or 4)
+ */
+export function processDrive(st, L, R, drive, curve, factor) {
+  const n = L.length;
+  const target = Math.max(1, drive);
+  const on = target > 1;
+  if (!on && !st.active) { st.drive = 1; return; }
+
+  const f = factor >= 4 ? 4 : (factor >= 2 ? 2 : 1);
+  if (f !== st.factor || !st.active) { st.factor = f; resetDrive(st); }
+  if (st.x2.length < 2 * n) { st.x2 = new Float32Array(2 * n); st.x4 = new Float32Array(4 * n); }
+  if (st.wet.length < n) st.wet = new Float32Array(n);
+
+  const d0 = st.drive, d1 = target;
+  const fadeIn = !st.active, fadeOut = !on;
+  const wet = st.wet;
+  const c = curve | 0;
+  for (let ch = 0; ch < 2; ch++) {
+    const buf = ch === 0 ? L : R;
+    runChannel(st, ch, buf, wet, n, d0, d1, c);
+    if (fadeIn || fadeOut) {
+      // dry <-> wet crossfade across the block (latency and curve change)
+      for (let i = 0; i < n; i++) {
+        const t = (i + 1) / n, g = fadeIn ? t : 1 - t;
+        buf[i] = buf[i] + (wet[i] - buf[i]) * g;
+      }
+    } else {
+      for (let i = 0; i < n; i++) buf[i] = wet[i];
+    }
+  }
+  st.drive = d1;
+  st.active = on;
+}
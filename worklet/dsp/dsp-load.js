@@ -0,0 +1,98 @@
+/**
+ * @file dsp-load.js
+ * @description Render-time measurement and adaptive quality for the worklet.
+ *   Each block is timed against its real-time budget (frames / sampleRate);
+ *   the load is smoothed (~300 ms) and its peak held until the next report.
+ *   In adaptive mode a small controller raises a degradation level when the
+ *   load gets close to the budget and lowers it again after a calm period;
+ *   every level lowers interpolation quality, caps density and/or shortens
+ *   grains (see ADAPT_LEVELS).
+ *   Uses performance.now() where the global scope has it, Date.now() otherwise
+ *   (1 ms steps: the smoothed load stays meaningful, single-block peaks are coarse).
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+const now = (typeof performance !== 'undefined' && typeof performance.now === 'function')
+  ? () => performance.now()
+  : () => Date.now();
+
+/** Degradation steps of the adaptive mode (index = level) */
+export const ADAPT_LEVELS = Object.freeze([
+  Object.freeze({ interpMax: 2, densityMul: 1.00, sizeMul: 1.0 }),  // full quality
+  Object.freeze({ interpMax: 1, densityMul: 1.00, sizeMul: 1.0 }),  // no sinc
+  Object.freeze({ interpMax: 0, densityMul: 0.60, sizeMul: 1.0 }),  // linear + density cap
+  Object.freeze({ interpMax: 0, densityMul: 0.35, sizeMul: 0.6 })   // + shorter grains
+]);
+
+const SMOOTH_SEC = 0.3;     // load smoothing
+const HIGH = 0.70;          // smoothed load that raises the level
+const SPIKE = 0.95;         // single-block load that raises the level
+const LOW = 0.40;           // smoothed load below which the level may drop
+const UP_HOLD_SEC = 0.25;   // min time between two raises
+const DOWN_HOLD_SEC = 3.0;  // calm time before a drop
+
+/** Timestamp for blockStart/blockEnd (ms) */
+export const loadClock = now;
+
+/**
+ * Create load monitor state.
+ * @param {number} sampleRate
+ */
+export function createLoadMonitor(sampleRate) {
+  return {
+    sr: sampleRate,
+    load: 0,          // smoothed (0..1+, 1 = whole block budget)
+    peak: 0,          // highest block load since the last readout
+    adaptive: false,
+    level: 0,
+    sinceUp: 0,       // seconds since the last level change up
+    calm: 0           // seconds spent below LOW
+  };
+}
+
+/** Enable/disable adaptive mode (disabling restores full quality) */
+export function setAdaptive(m, enabled) {
+  m.adaptive = !!enabled;
+  if (!m.adaptive) { m.level = 0; m.calm = 0; }
+}
+
+/**
+ * Account one rendered block.
+ * @param {ReturnType<typeof createLoadMonitor>} m
+ * @param {number} t0 loadClock() taken before rendering
+ * @param {number} frames block length
+ */
+export function blockEnd(m, t0, frames) {
+  const sec = frames / m.sr;
+  const x = Math.max(0, (now() - t0) / (sec * 1000));
+  const a = 1 - Math.exp(-sec / SMOOTH_SEC);
+  m.load += (x - m.load) * a;
+  if (x > m.peak) m.peak = x;
+
+  if (!m.adaptive) return;
+  m.sinceUp += sec;
+  if ((m.load > HIGH || x > SPIKE) && m.sinceUp >= UP_HOLD_SEC && m.level < ADAPT_LEVELS.length - 1) {
+    m.level++; m.sinceUp = 0; m.calm = 0;
+    return;
+  }
+  m.calm = m.load < LOW ? m.calm + sec : 0;
+  if (m.calm >= DOWN_HOLD_SEC && m.level > 0) { m.level--; m.calm = 0; }
+}
+
+/** Limits for the current level */
+export function adaptiveLimits(m) {
+  return ADAPT_LEVELS[m.level];
+}
+
+/**
+ * Readings for telemetry (percent); restarts the peak hold.
+ * @param {ReturnType<typeof createLoadMonitor>} m
+ * @returns {{load:number, peak:number, level:number}}
+ */
+export function loadReadout(m) {
+  const r = { load: m.load * 100, peak: m.peak * 100, level: m.level };
+  m.peak = 0;
+  return r;
+}
@@ -0,0 +1,73 @@
+/**
+ * @file envelope.js
+ * @description ADSR envelope generator (gate-driven, retriggerable).
+ *   Linear attack, exponential decay/release; advanced in steps of `dt` seconds
+ *   (per block for modulation, per sample for amplitude).
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+export const ADSR_STAGE = Object.freeze({ IDLE: 0, ATTACK: 1, DECAY: 2, SUSTAIN: 3, RELEASE: 4 });
+
+// Decay/release time constant as a fraction of the segment time (~-43 dB at the end)
+const TAU_FRACTION = 0.2;
+const SILENCE = 1e-4;
+
+/** Create envelope state object */
+export function createADSR() {
+  return { stage: ADSR_STAGE.IDLE, value: 0 };
+}
+
+/**
+ * Open or close the gate. Opening always retriggers from the current value (no click).
+ * @param {ReturnType<typeof createADSR>} s
+ * @param {boolean} on
+ */
+export function gateADSR(s, on) {
+  if (on) s.stage = ADSR_STAGE.ATTACK;
+  else if (s.stage !== ADSR_STAGE.IDLE) s.stage = ADSR_STAGE.RELEASE;
+}
+
+/** Force the envelope to silence */
+export function resetADSR(s) {
+  s.stage = ADSR_STAGE.IDLE;
+  s.value = 0;
+}
+
+/**
+ * Advance the envelope.
+ * @param {ReturnType<typeof createADSR>} s
+ * @param {{attack:number, decay:number, sustain:number, release:number}} p times in seconds, sustain 0..1
+ * @param {number} dt step in seconds
+ * @returns {number} envelope value 0..1
+ */
+export function advanceADSR(s, p, dt) {
+  const sus = Math.max(0, Math.min(1, p.sustain ?? 1));
+  switch (s.stage) {
+    case ADSR_STAGE.ATTACK: {
+      const a = Math.max(1e-4, p.attack || 0);
+      s.value += dt / a;
+      if (s.value >= 1) { s.value = 1; s.stage = ADSR_STAGE.DECAY; }
+      break;
+    }
+    case ADSR_STAGE.DECAY: {
+      const tau = Math.max(1e-4, (p.decay || 0) * TAU_FRACTION);
+      s.value = sus + (s.value - sus) * Math.exp(-dt / tau);
+      if (Math.abs(s.value - sus) < SILENCE) { s.value = sus; s.stage = ADSR_STAGE.SUSTAIN; }
+      break;
+    }
+    case ADSR_STAGE.SUSTAIN:
+      s.value = sus;   // follows live sustain changes
+      break;
+    case ADSR_STAGE.RELEASE: {
+      const tau = Math.max(1e-4, (p.release || 0) * TAU_FRACTION);
+      s.value *= Math.exp(-dt / tau);
+      if (s.value < SILENCE) { s.value = 0; s.stage = ADSR_STAGE.IDLE; }
+      break;
+    }
+    default:
+      s.value = 0;
+  }
+  return s.value;
+}
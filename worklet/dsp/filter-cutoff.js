@@ -1,12 +1,16 @@
 /**
  * @file filter-cutoff.js
- * @description Filter cutoff bank for per-cursor lowpass filtering.
- *   Includes UI-to-Hz/Q/drive mapping, TDF2 biquad lowpass implementation,
- *   per-channel drive/slope (12/24 dB), and per-block parameter smoothing.
+ * @description Filter cutoff bank for per-cursor multi-mode filtering.
+ *   Includes UI-to-Hz/Q/drive mapping, TDF2 biquad (LP/HP/BP/notch/peak, plus
+ *   low/high shelves used by the master EQ),
+ *   per-channel oversampled drive (see drive.js), slope (12/24 dB), and
+ *   per-block parameter smoothing.
  */
 
 'use strict';
 
+import { createDrive, processDrive, DRIVE_CURVES } from './drive.js';
+
 /* ---------- Utils & Mapping ---------- */
 const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
 export const uiToHz = (t, min=20, max=12000) => min * Math.pow(max/min, clamp(t,0,1));
@@ -16,18 +20,32 @@ export const uiToDrive = (t, min=1, max=10) => min + (max-min)*clamp(t,0,1);
 // Optional: octave shift mapping for envelope/LFO: fc * 2^(amount * x)
 const octShift = (fc, amountOct, x01) => fc * Math.pow(2, amountOct * clamp(x01,0,1));
 
-/* ---------- Biquad LP (RBJ cookbook) TDF2, stereo ---------- */
-export class BiquadLP {
-  constructor(fs){
+/* ---------- Filter types (per-cursor `filterType`) ---------- */
+export const FILTER_TYPES = Object.freeze({
+  LP: 0,
+  HP: 1,
+  BP: 2,      // constant 0 dB peak gain
+  NOTCH: 3,
+  PEAK: 4,    // peaking EQ, uses gainDb
+  LOWSHELF: 5,  // master EQ only, uses gainDb
+  HIGHSHELF: 6  // master EQ only, uses gainDb
+});
+
+/* ---------- Biquad (RBJ cookbook) TDF2, stereo ---------- */
+export class Biquad {
+  constructor(fs, type = FILTER_TYPES.LP){
     this.fs = fs;
     this.b0=this.b1=this.b2=this.a1=this.a2=0;
     this.z1L=0; this.z2L=0; this.z1R=0; this.z2R=0;
     this._fc = 1000; this._q = 0.707;
+    this._type = type|0; this._gainDb = 0;
     this._recalc();
   }
-  setCoeffs(fc, q){
+  setCoeffs(fc, q, type = this._type, gainDb = this._gainDb){
     this._fc = clamp(fc, 15, this.fs*0.45);
     this._q  = Math.max(0.25, q);
+    this._type = clamp(type|0, 0, 6);
+    this._gainDb = clamp(gainDb, -24, 24);
     this._recalc();
   }
   _recalc(){
@@ -35,8 +53,42 @@ export class BiquadLP {
     const w0 = 2*Math.PI*fc/fs;
     const c = Math.cos(w0), s = Math.sin(w0);
     const alpha = s/(2*q);
-    const b0 = (1-c)/2, b1 = 1-c, b2 = (1-c)/2;
-    const a0 = 1+alpha, a1 = -2*c, a2 = 1-alpha;
+    let b0, b1, b2, a0, a1, a2;
+    switch (this._type){
+      case FILTER_TYPES.HP:
+        b0 = (1+c)/2; b1 = -(1+c); b2 = (1+c)/2;
+        a0 = 1+alpha; a1 = -2*c;   a2 = 1-alpha;
+        break;
+      case FILTER_TYPES.BP:
+        b0 = alpha;   b1 = 0;      b2 = -alpha;
+        a0 = 1+alpha; a1 = -2*c;   a2 = 1-alpha;
+        break;
+      case FILTER_TYPES.NOTCH:
+        b0 = 1;       b1 = -2*c;   b2 = 1;
+        a0 = 1+alpha; a1 = -2*c;   a2 = 1-alpha;
+        break;
+      case FILTER_TYPES.PEAK: {
+        const A = Math.pow(10, this._gainDb/40);
+        b0 = 1+alpha*A; b1 = -2*c; b2 = 1-alpha*A;
+        a0 = 1+alpha/A; a1 = -2*c; a2 = 1-alpha/A;
+        break;
+      }
+      case FILTER_TYPES.LOWSHELF: {
+        const A = Math.pow(10, this._gainDb/40), sa = 2*Math.sqrt(A)*alpha;
+        b0 = A*((A+1) - (A-1)*c + sa); b1 = 2*A*((A-1) - (A+1)*c); b2 = A*((A+1) - (A-1)*c - sa);
+        a0 = (A+1) + (A-1)*c + sa;     a1 = -2*((A-1) + (A+1)*c);  a2 = (A+1) + (A-1)*c - sa;
+        break;
+      }
+      case FILTER_TYPES.HIGHSHELF: {
+        const A = Math.pow(10, this._gainDb/40), sa = 2*Math.sqrt(A)*alpha;
+        b0 = A*((A+1) + (A-1)*c + sa); b1 = -2*A*((A-1) + (A+1)*c); b2 = A*((A+1) + (A-1)*c - sa);
+        a0 = (A+1) - (A-1)*c + sa;     a1 = 2*((A-1) - (A+1)*c);    a2 = (A+1) - (A-1)*c - sa;
+        break;
+      }
+      default: // LP
+        b0 = (1-c)/2; b1 = 1-c;    b2 = (1-c)/2;
+        a0 = 1+alpha; a1 = -2*c;   a2 = 1-alpha;
+    }
     this.b0=b0/a0; this.b1=b1/a0; this.b2=b2/a0; this.a1=a1/a0; this.a2=a2/a0;
   }
   // Write to output buffers (no accumulation)
@@ -67,25 +119,39 @@ export class BiquadLP {
   }
 }
 
+// Backwards-compatible name (lowpass is the default type)
+export const BiquadLP = Biquad;
+
 /* ---------- Filter channel with drive + 12/24 dB + smoothing ---------- */
 class FilterChannel {
   constructor(fs, tauMs=25){
     this.fs = fs;
-    this.stage1 = new BiquadLP(fs);
-    this.stage2 = new BiquadLP(fs);
+    this.stage1 = new Biquad(fs);
+    this.stage2 = new Biquad(fs);
     this.stages = 1;          // 1=12dB, 2=24dB
+    this.type = FILTER_TYPES.LP;
     this.drive = 1;           // 1 = off
+    this.driveCurve = DRIVE_CURVES.TANH;
+    this.oversample = 2;      // drive stage rate factor (1/2/4)
+    this.driveState = createDrive(fs);
     this.tauMs = tauMs;       // parameter smoothing time
     this.fcT=1000; this.qT=0.707;
     this.fcS=1000; this.qS=0.707;
+    this.envMul=1;            // envelope factor, applied after smoothing
+    this.gainT=0;  this.gainS=0;  // peak gain (dB)
     this.tmpL = new Float32Array(128);
     this.tmpR = new Float32Array(128);
   }
-  setTargets({hz, q, stages=1, drive=1, tauMs}){
+  setTargets({hz, q, stages=1, drive=1, driveCurve=DRIVE_CURVES.TANH, oversample=2, type=FILTER_TYPES.LP, gainDb=0, tauMs, envMul=1}){
     this.fcT = clamp(hz, 15, this.fs*0.45);
+    this.envMul = envMul > 0 ? envMul : 1;
     this.qT  = Math.max(0.25, q);
     this.stages = stages|0;
+    this.type   = clamp(type|0, 0, 4);
+    this.gainT  = clamp(Number(gainDb) || 0, -24, 24);
     this.drive  = Math.max(1, drive);
+    this.driveCurve = clamp(driveCurve|0, 0, 3);
+    this.oversample = oversample >= 4 ? 4 : (oversample >= 2 ? 2 : 1);
     if (tauMs != null) this.tauMs = Math.max(1, tauMs|0);
   }
   _ensureTmp(n){
@@ -102,16 +168,18 @@ class FilterChannel {
     const a = Math.exp(-(n/fs) / (this.tauMs/1000));
     this.fcS = this.fcS*a + this.fcT*(1-a);
     this.qS  = this.qS *a + this.qT *(1-a);
+    this.gainS = this.gainS*a + this.gainT*(1-a);
 
-    // coeff update
-    this.stage1.setCoeffs(this.fcS, this.qS);
-    if (this.stages>1) this.stage2.setCoeffs(this.fcS, this.qS);
+    // Envelope is not smoothed (a tau would smear its attack)
+    const fc = clamp(this.fcS * this.envMul, 15, fs*0.45);
 
-    // pre-drive
-    if (this.drive>1){
-      const d = this.drive;
-      for (let i=0;i<n;i++){ busL[i] = Math.tanh(busL[i]*d); busR[i] = Math.tanh(busR[i]*d); }
-    }
+    // coeff update (cascaded peak stages split the gain so 24 dB keeps the same boost)
+    const g = (this.stages>1) ? this.gainS*0.5 : this.gainS;
+    this.stage1.setCoeffs(fc, this.qS, this.type, g);
+    if (this.stages>1) this.stage2.setCoeffs(fc, this.qS, this.type, g);
+
+    // pre-drive (oversampled; no-op while drive is 1 and the stage has faded out)
+    processDrive(this.driveState, busL, busR, this.drive, this.driveCurve, this.oversample);
 
     if (this.stages === 1){
       // 12 dB: accumulate directly to output
@@ -132,10 +200,14 @@ export class FilterCutoffBank {
   }
   // idx: 0..N-1
   setChannelTargets(idx, opts){ this.channels[idx].setTargets(opts); }
-  // buses: array of objects {L:Float32Array, R:Float32Array}
-  processFromBuses(buses, outL, outR){
+  // Filter one channel, accumulating into outL/outR (inserts after the filter use a scratch output)
+  processChannel(idx, busL, busR, outL, outR){
+    this.channels[idx].process(busL, busR, outL, outR);
+  }
+  // buses: array of objects {L:Float32Array, R:Float32Array}; count: active buses
+  processFromBuses(buses, outL, outR, count = buses.length){
     // Does not zero out: caller is expected to accumulate other buses/processing
-    for (let i=0;i<this.channels.length && i<buses.length;i++){
+    for (let i=0;i<this.channels.length && i<buses.length && i<count;i++){
       this.channels[i].process(buses[i].L, buses[i].R, outL, outR);
     }
   }
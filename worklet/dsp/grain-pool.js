@@ -0,0 +1,65 @@
+/**
+ * @file grain-pool.js
+ * @description Grain pool limits and stealing policies.
+ *   The pool size caps the live grains; when a new grain needs a slot one of
+ *   the live grains is stolen (faded out over the soft-kill tail by the caller).
+ *   Fading grains keep their slot until silent but no longer count as live.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+export const GRAIN_STEAL = Object.freeze({
+  OLDEST: 0,     // grain furthest into its envelope
+  QUIETEST: 1,   // lowest current level (window × gain)
+  FAIR: 2        // oldest grain of the cursor holding the most live grains
+});
+
+export const GRAIN_POOL_MIN = 64;
+export const GRAIN_POOL_MAX = 4096;
+
+/** Clamp a pool-size setting to GRAIN_POOL_MIN..GRAIN_POOL_MAX */
+export function grainPoolSize(size) {
+  const n = Math.round(Number(size) || 0);
+  return Math.max(GRAIN_POOL_MIN, Math.min(GRAIN_POOL_MAX, n));
+}
+
+/**
+ * Spawn-rate factor from pool occupancy: 1 up to half the pool, then easing
+ * down to 0.25 when full (never 0: stealing makes room for new grains).
+ * @param {number} live live grain count
+ * @param {number} pool pool size
+ */
+export function spawnBudget(live, pool) {
+  const fill = live / pool;
+  if (fill <= 0.5) return 1;
+  return Math.max(0.25, 1 - 1.5 * (fill - 0.5));
+}
+
+/**
+ * Pick the grain to steal.
+ * @param {number} policy GRAIN_STEAL value
+ * @param {number} count grains in the pool (live + fading)
+ * @param {Int8Array} cursor owner cursor per grain
+ * @param {Int32Array} envPos frames played per grain (age)
+ * @param {Float32Array} fadeStep per-frame fade decrement (> 0 = already fading, skipped)
+ * @param {Int32Array} liveByCursor live grains per cursor
+ * @param {(g:number) => number} levelOf current level of a grain (QUIETEST)
+ * @returns {number} grain index, or -1 if every grain is already fading
+ */
+export function pickGrainToSteal(policy, count, cursor, envPos, fadeStep, liveByCursor, levelOf) {
+  const p = policy | 0;
+  let owner = -1;
+  if (p === GRAIN_STEAL.FAIR) {
+    let most = 0;
+    for (let c = 0; c < liveByCursor.length; c++) if (liveByCursor[c] > most) { most = liveByCursor[c]; owner = c; }
+  }
+  let best = -1, bestKey = 0;
+  for (let g = 0; g < count; g++) {
+    if (fadeStep[g] > 0) continue;
+    if (owner >= 0 && cursor[g] !== owner) continue;
+    const key = p === GRAIN_STEAL.QUIETEST ? -levelOf(g) : envPos[g];
+    if (best < 0 || key > bestKey) { best = g; bestKey = key; }
+  }
+  return best;
+}
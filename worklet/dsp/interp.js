@@ -0,0 +1,157 @@
+/**
+ * @file interp.js
+ * @description Source interpolation for grain playback (stereo read at a
+ *   fractional position, wrapping on the buffer length).
+ *   Linear, 4-point cubic Hermite and windowed sinc; the sinc kernel widens when
+ *   the read step is above 1 so pitched-up grains are band-limited instead of
+ *   aliasing. Each grain gets its mode when it spawns (and keeps it to the end):
+ *   a cheaper one when the live grains already use up the tap budget, so the
+ *   per-block cost stays bounded without grains switching mode mid-way.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+export const INTERP = Object.freeze({
+  LINEAR: 0,  // 2 taps (previous behavior)
+  CUBIC: 1,   // 4-point Hermite
+  SINC: 2     // 16 taps at unity, up to 16 × SINC_MAX_RATIO when pitched up
+});
+
+/** Largest read step the sinc kernel band-limits for (beyond it the cutoff stays put) */
+export const SINC_MAX_RATIO = 4;
+
+/** Sinc taps per output frame (summed over sinc grains) a new grain may not exceed (else cubic) */
+export const SINC_TAP_BUDGET = 512;
+
+/** Cubic grains beyond which new grains read linear */
+export const CUBIC_GRAIN_LIMIT = 160;
+
+const HALF = 8;         // kernel half-width (zero crossings each side at unity)
+const RES  = 64;        // table points per zero crossing
+const AA   = 0.95;      // cutoff margin when band-limiting (fraction of the new Nyquist)
+
+// Blackman-windowed sinc, sampled on [0, HALF] (+1 guard point)
+const KERNEL = (() => {
+  const n = HALF * RES + 2;
+  const t = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const u = i / RES;
+    if (u >= HALF) { t[i] = 0; continue; }
+    const s = u === 0 ? 1 : Math.sin(Math.PI * u) / (Math.PI * u);
+    const w = 0.42 + 0.5 * Math.cos(Math.PI * u / HALF) + 0.08 * Math.cos(2 * Math.PI * u / HALF);
+    t[i] = s * w;
+  }
+  return t;
+})();
+
+// Kernel stretch for a read step: 1 at unity or below, AA / step when pitched up
+function sincStretch(inc) {
+  const step = Math.abs(inc);
+  return step > 1 ? AA / Math.min(step, SINC_MAX_RATIO) : 1;
+}
+
+/** Sinc taps read per output frame by a grain stepping `inc` */
+export function sincTaps(inc) {
+  return 2 * Math.ceil(HALF / sincStretch(inc));
+}
+
+/** Per-pool tally of the interpolation cost of live grains */
+export function createInterpBudget() {
+  return { sincTaps: 0, cubic: 0 };
+}
+
+/**
+ * Mode for a new grain, charged to the budget until releaseInterp.
+ * @param {{sincTaps:number, cubic:number}} b budget (mutated)
+ * @param {number} mode requested INTERP value (session setting)
+ * @param {number} inc read step of the grain
+ * @returns {number} INTERP value
+ */
+export function spawnInterp(b, mode, inc) {
+  let m = Math.max(INTERP.LINEAR, Math.min(INTERP.SINC, mode | 0));
+  if (m === INTERP.SINC) {
+    const taps = sincTaps(inc);
+    if (b.sincTaps + taps <= SINC_TAP_BUDGET) { b.sincTaps += taps; return m; }
+    m = INTERP.CUBIC;
+  }
+  if (m === INTERP.CUBIC) {
+    if (b.cubic < CUBIC_GRAIN_LIMIT) { b.cubic++; return m; }
+    m = INTERP.LINEAR;
+  }
+  return m;
+}
+
+/** Give back what spawnInterp charged for a grain (same mode and read step) */
+export function releaseInterp(b, mode, inc) {
+  if (mode === INTERP.SINC) b.sincTaps -= sincTaps(inc);
+  else if (mode === INTERP.CUBIC) b.cubic--;
+}
+
+function wrap(i, len) {
+  if (i >= 0 && i < len) return i;
+  const r = i % len;
+  return r < 0 ? r + len : r;
+}
+
+/**
+ * Read a stereo sample at fractional position x.
+ * @param {number} mode INTERP value (see spawnInterp)
+ * @param {Float32Array} L
+ * @param {Float32Array} R  (pass L again for mono sources)
+ * @param {number} len buffer length (frames)
+ * @param {number} x read position (frames, any value: wrapped)
+ * @param {number} inc read step of the grain (frames per output frame, signed)
+ * @param {Float32Array|number[]} out receives [left, right]
+ */
+export function readInterp(mode, L, R, len, x, inc, out) {
+  if (mode === INTERP.CUBIC) return readCubic(L, R, len, x, out);
+  if (mode === INTERP.SINC)  return readSinc(L, R, len, x, inc, out);
+  return readLinear(L, R, len, x, out);
+}
+
+function readLinear(L, R, len, x, out) {
+  const xi = Math.floor(x), f = x - xi;
+  const i0 = wrap(xi, len);
+  const i1 = (i0 + 1 >= len) ? 0 : i0 + 1;
+  out[0] = L[i0] + (L[i1] - L[i0]) * f;
+  out[1] = R[i0] + (R[i1] - R[i0]) * f;
+}
+
+// 4-point, 3rd-order Hermite (Catmull-Rom)
+function readCubic(L, R, len, x, out) {
+  const xi = Math.floor(x), f = x - xi;
+  let i1 = wrap(xi, len);
+  let i0 = i1 - 1; if (i0 < 0) i0 += len;
+  let i2 = i1 + 1; if (i2 >= len) i2 -= len;
+  let i3 = i2 + 1; if (i3 >= len) i3 -= len;
+  out[0] = hermite(L[i0], L[i1], L[i2], L[i3], f);
+  out[1] = hermite(R[i0], R[i1], R[i2], R[i3], f);
+}
+
+function hermite(y0, y1, y2, y3, f) {
+  const c1 = 0.5 * (y2 - y0);
+  const c2 = y0 - 2.5 * y1 + 2 * y2 - 0.5 * y3;
+  const c3 = 0.5 * (y3 - y0) + 1.5 * (y1 - y2);
+  return ((c3 * f + c2) * f + c1) * f + y1;
+}
+
+// Windowed sinc, kernel stretched by the read step (cutoff AA / |inc|), DC-normalized
+function readSinc(L, R, len, x, inc, out) {
+  const c = sincStretch(inc);
+  const xi = Math.floor(x), f = x - xi;
+  const W = Math.ceil(HALF / c);
+  const k = c * RES;
+  let sL = 0, sR = 0, sw = 0;
+  const wrapNeeded = (xi - W + 1 < 0) || (xi + W >= len);
+  for (let t = -W + 1; t <= W; t++) {
+    const u = Math.abs(t - f) * k;        // table position
+    const j = u | 0;
+    if (j >= HALF * RES) continue;
+    const w = KERNEL[j] + (KERNEL[j + 1] - KERNEL[j]) * (u - j);
+    const idx = wrapNeeded ? wrap(xi + t, len) : xi + t;
+    sL += L[idx] * w; sR += R[idx] * w; sw += w;
+  }
+  const g = sw !== 0 ? 1 / sw : 0;
+  out[0] = sL * g; out[1] = sR * g;
+}
@@ -0,0 +1,81 @@
+/**
+ * @file lfo.js
+ * @description Block-rate LFO with multiple waveforms (sine, triangle, saw, square,
+ *   sample-and-hold, smoothed random). Phase is kept in cycles so it can either
+ *   free-run (Hz) or be locked to an external musical position (tempo sync).
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+export const LFO_SHAPES = Object.freeze({
+  SINE: 0,
+  TRIANGLE: 1,
+  SAW: 2,       // ramp up
+  SQUARE: 3,
+  SAMPLE_HOLD: 4,
+  SMOOTH_RANDOM: 5
+});
+
+const TWO_PI = 2 * Math.PI;
+
+/** Create LFO state object (phase in cycles, random targets for S&H / smooth) */
+export function createLFO(rand = Math.random) {
+  return {
+    phase: 0,
+    cycle: 0,                 // integer cycle count, used to detect wraps
+    held: rand() * 2 - 1,     // current random value
+    prev: 0,                  // previous random value (smooth random start point)
+    rand
+  };
+}
+
+/** Back to phase 0 with a fresh random target (e.g. after reseeding `rand`) */
+export function resetLFO(s) {
+  s.phase = 0;
+  s.cycle = 0;
+  s.held = s.rand() * 2 - 1;
+  s.prev = 0;
+}
+
+// Roll new random targets for each cycle boundary crossed
+function onCycles(s, cycle) {
+  if (cycle === s.cycle) return;
+  s.prev = s.held;
+  s.held = s.rand() * 2 - 1;
+  s.cycle = cycle;
+}
+
+/** Free-running: advance by `hz` over `dt` seconds */
+export function advanceLFO(s, hz, dt) {
+  s.phase += Math.max(0, hz || 0) * dt;
+  if (s.phase > 1e9) { s.phase -= Math.floor(s.phase); s.cycle = 0; }
+  onCycles(s, Math.floor(s.phase));
+}
+
+/** Tempo sync: set the absolute phase (in cycles) from the clock position */
+export function setLFOPhase(s, phase) {
+  s.phase = phase;
+  onCycles(s, Math.floor(phase));
+}
+
+/**
+ * Current LFO output.
+ * @param {ReturnType<typeof createLFO>} s
+ * @param {number} shape LFO_SHAPES value
+ * @returns {number} bipolar value in [-1, 1]
+ */
+export function lfoValue(s, shape) {
+  const f = s.phase - Math.floor(s.phase);   // 0..1 within the cycle
+  switch (shape | 0) {
+    case LFO_SHAPES.TRIANGLE:      return 1 - 4 * Math.abs(f - 0.5);
+    case LFO_SHAPES.SAW:           return 2 * f - 1;
+    case LFO_SHAPES.SQUARE:        return f < 0.5 ? 1 : -1;
+    case LFO_SHAPES.SAMPLE_HOLD:   return s.held;
+    case LFO_SHAPES.SMOOTH_RANDOM: {
+      const t = f * f * (3 - 2 * f);         // smoothstep between consecutive random values
+      return s.prev + (s.held - s.prev) * t;
+    }
+    default:                       return Math.sin(TWO_PI * f);
+  }
+}
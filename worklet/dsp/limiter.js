@@ -2,11 +2,17 @@
  * @file limiter.js
  * @description Peak limiter with look-ahead and 2x true-peak estimation.
  *   Uses linear upsampling for inter-sample peak detection.
+ *   The gain is computed per sample: it follows the lowest gain needed by any
+ *   sample still inside the look-ahead window (instant catch), so it cannot
+ *   recover before a caught peak has left the output; release runs per sample.
+ *   Ceiling, release, look-ahead and bypass can be changed at runtime.
  *   Designed for use in AudioWorklet but platform-agnostic.
  */
 
 'use strict';
 
+const MAX_LOOKAHEAD_MS = 20;   // setLimiterOptions() clamp, sizes the window-minimum deque
+
 /** dBFS helper */
 export function toDb(x) {
   return (x <= 0) ? -Infinity : 20 * Math.log10(x);
@@ -38,29 +44,61 @@ function sanitizeBlock(l, r) {
  * @param {number} [opts.releaseMs=50]    Gain release time (ms)
  * @param {number} [opts.masterTrim=0.80] Pre-limiter trim (headroom)
  * @param {number} [opts.extra=256]       Extra margin for ring buffer
+ * @param {boolean} [opts.bypass=false]   No gain reduction (signal still delayed by the look-ahead)
  */
 export function createLimiter(sampleRate, opts = {}) {
   const lookaheadMs = opts.lookaheadMs ?? 3;
   const lookahead = Math.max(1, Math.floor(sampleRate * (lookaheadMs / 1000)));
   const extra = Math.max(64, opts.extra ?? 256);
   const releaseMs = Math.max(1, opts.releaseMs ?? 50);
+  const winCap = Math.max(lookahead, Math.ceil(sampleRate * MAX_LOOKAHEAD_MS / 1000)) + 2;
 
   const state = {
     sr: sampleRate,
     lookahead,
+    lookaheadMs,
+    releaseMs,
     ceil: opts.ceiling ?? 0.98,
     trim: opts.masterTrim ?? 0.80,
+    bypass: !!opts.bypass,
     rel: Math.exp(-1 / (sampleRate * (releaseMs / 1000))),
     bufL: new Float32Array(lookahead + extra),
     bufR: new Float32Array(lookahead + extra),
     write: 0,
     env: 1.0,
+    // sliding minimum of the needed gain over the look-ahead window (monotonic deque)
+    winVal: new Float32Array(winCap),
+    winAt: new Float64Array(winCap),
+    winHead: 0,
+    winLen: 0,
+    t: 0,                 // input sample counter
+    prevL: 0, prevR: 0,   // last input sample (inter-sample peak across blocks)
     lastTpDb: -Infinity,
     lastGrDb: 0
   };
   return state;
 }
 
+/**
+ * Change limiter settings at runtime (missing keys are kept).
+ * A look-ahead change shifts the read point once (short discontinuity).
+ * @param {ReturnType<typeof createLimiter>} s
+ * @param {{ceiling?:number, releaseMs?:number, lookaheadMs?:number, masterTrim?:number, bypass?:boolean}} opts
+ */
+export function setLimiterOptions(s, opts = {}) {
+  if (Number.isFinite(opts.ceiling)) s.ceil = Math.max(0.1, Math.min(1.0, opts.ceiling));
+  if (Number.isFinite(opts.masterTrim)) s.trim = Math.max(0, opts.masterTrim);
+  if (Number.isFinite(opts.releaseMs)) {
+    s.releaseMs = Math.max(1, Math.min(2000, opts.releaseMs));
+    s.rel = Math.exp(-1 / (s.sr * (s.releaseMs / 1000)));
+  }
+  if (Number.isFinite(opts.lookaheadMs)) {
+    s.lookaheadMs = Math.max(0.1, Math.min(MAX_LOOKAHEAD_MS, opts.lookaheadMs));
+    s.lookahead = Math.max(1, Math.floor(s.sr * (s.lookaheadMs / 1000)));
+  }
+  if (opts.bypass != null) s.bypass = !!opts.bypass;
+}
+
 /**
  * Estimate 2x true-peak using linear upsampling: checks original and midpoint samples.
  * @param {Float32Array} l
@@ -126,37 +164,53 @@ export function processLimiter(s, outL, outR) {
     for (let i = 0; i < N; i++) { outL[i] *= trim; outR[i] *= trim; }
   }
 
-  // 2) 2x True-peak (on sanitized data)
+  // 2) 2x True-peak (on sanitized data, telemetry)
   const tp = truePeak2x(outL, outR);
   const ceil = Math.max(0.1, Math.min(1.0, s.ceil)); // defensive clamp
-  const needed = tp > 1e-12 ? Math.min(1, ceil / tp) : 1;
-
-  // 3) Write to ring buffer
-  for (let i = 0; i < N; i++) {
-    s.bufL[s.write] = outL[i];
-    s.bufR[s.write] = outR[i];
-    s.write = (s.write + 1) % s.bufL.length;
-  }
-
-  // 4) Update envelope: instant attack (catch), exponential release
-  if (needed < s.env) s.env = needed;            // immediate catch
-  else s.env = 1 - (1 - s.env) * s.rel;          // smooth release
 
-  // 5) Apply envelope to samples with look-ahead
-  let read = (s.write - s.lookahead + s.bufL.length) % s.bufL.length;
-  const env = Number.isFinite(s.env) ? s.env : 1;
+  // 3) Per sample: needed gain of the incoming sample (sample + midpoint with the
+  //    previous one) -> window minimum -> envelope, applied to the sample one
+  //    look-ahead older from the ring buffer
+  const la = s.lookahead, len = s.bufL.length, cap = s.winVal.length;
+  const qv = s.winVal, qt = s.winAt;
+  let head = s.winHead, qn = s.winLen;
+  let env = Number.isFinite(s.env) ? s.env : 1;
+  let minEnv = env;
+  let pL = s.prevL, pR = s.prevR;
   for (let i = 0; i < N; i++) {
-    const xL = s.bufL[read];
-    const xR = s.bufR[read];
-    outL[i] = xL * env;
-    outR[i] = xR * env;
-    read = (read + 1) % s.bufL.length;
+    const xL = outL[i], xR = outR[i];
+    const a = Math.max(Math.abs(xL), Math.abs(xR));
+    const m = 0.5 * Math.max(Math.abs(xL + pL), Math.abs(xR + pR));
+    const pk = a > m ? a : m;
+    pL = xL; pR = xR;
+    const needed = (pk > 1e-12 && !s.bypass) ? Math.min(1, ceil / pk) : 1; // bypass: release to unity
+
+    const t = s.t++;
+    while (qn > 0 && qv[(head + qn - 1) % cap] >= needed) qn--;
+    const tail = (head + qn) % cap;
+    qv[tail] = needed; qt[tail] = t; qn++;
+    while (qt[head] < t - la) { head = (head + 1) % cap; qn--; }
+    const target = qv[head];
+
+    if (target < env) env = target;                        // immediate catch
+    else env = target - (target - env) * s.rel;            // smooth release (towards the window minimum)
+    if (env < minEnv) minEnv = env;
+
+    s.bufL[s.write] = xL;
+    s.bufR[s.write] = xR;
+    const read = (s.write - la + len) % len;
+    outL[i] = s.bufL[read] * env;
+    outR[i] = s.bufR[read] * env;
+    s.write = (s.write + 1) % len;
   }
+  s.env = env;
+  s.winHead = head; s.winLen = qn;
+  s.prevL = pL; s.prevR = pR;
 
-  // 6) Telemetry
-  const peakOut = tp * env;
+  // 4) Telemetry
+  const peakOut = truePeak2x(outL, outR);
   s.lastTpDb = toDb(peakOut);
-  s.lastGrDb = toDb(env); // negative when env < 1
+  s.lastGrDb = toDb(minEnv); // deepest reduction of the block, negative when < 1
 
   return { tpDb: s.lastTpDb, grDb: s.lastGrDb, peakIn: tp, peakOut };
 }
@@ -165,6 +219,8 @@ export function processLimiter(s, outL, outR) {
 export function resetLimiter(s) {
   s.write = 0;
   s.env = 1.0;
+  s.winHead = 0; s.winLen = 0;
+  s.prevL = s.prevR = 0;
   s.lastTpDb = -Infinity;
   s.lastGrDb = 0;
   s.bufL.fill(0);
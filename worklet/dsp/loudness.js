@@ -0,0 +1,187 @@
+/**
+ * @file loudness.js
+ * @description ITU-R BS.1770-4 / EBU R128 loudness meter (stereo).
+ *   K-weighting (shelf + RLB high-pass), 100 ms sub-blocks, momentary (400 ms)
+ *   and short-term (3 s) loudness, gated integrated loudness (absolute -70 LUFS,
+ *   relative -10 LU) and loudness range (EBU Tech 3342: short-term values,
+ *   relative gate -20 LU, 10th..95th percentile).
+ *   Gating uses fixed 0.1 LU histograms, so memory does not grow with time.
+ *   Designed for use in AudioWorklet but platform-agnostic (also used on the
+ *   main thread to measure recordings).
+ */
+
+'use strict';
+
+const SUB_PER_M = 4;          // 400 ms momentary window
+const SUB_PER_S = 30;         // 3 s short-term window
+const ABS_GATE  = -70;        // LUFS
+const HIST_MIN  = -70, HIST_STEP = 0.1, HIST_BINS = 1000;   // -70 .. +30 LUFS
+
+const energyToLufs = (e) => (e > 0 ? -0.691 + 10 * Math.log10(e) : -Infinity);
+const lufsToEnergy = (l) => Math.pow(10, (l + 0.691) / 10);
+const binOf = (l) => Math.max(0, Math.min(HIST_BINS - 1, Math.floor((l - HIST_MIN) / HIST_STEP)));
+const binLufs = (b) => HIST_MIN + (b + 0.5) * HIST_STEP;
+const BIN_ENERGY = Float64Array.from({ length: HIST_BINS }, (_, b) => lufsToEnergy(binLufs(b)));
+
+// K-weighting coefficients for any sample rate (pre-filter shelf + RLB high-pass)
+function kWeighting(sr) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sr);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20), Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0, b1: 2 * (K * K - Vh) / a0, b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0, a2: (1 - K / Q + K * K) / a0
+  };
+  K = Math.tan(Math.PI * 38.13547087602444 / sr);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const hp = { b0: 1, b1: -2, b2: 1, a1: 2 * (K * K - 1) / a0, a2: (1 - K / Q + K * K) / a0 };
+  return [shelf, hp];
+}
+
+/**
+ * Create loudness meter state object.
+ * @param {number} sampleRate
+ */
+export function createLoudnessMeter(sampleRate) {
+  return {
+    sr: sampleRate,
+    coefs: kWeighting(sampleRate),
+    z: new Float64Array(8),                 // [stage][channel][z1,z2]
+    subLen: Math.max(1, Math.round(sampleRate / 10)),
+    subPos: 0,
+    subSum: 0,
+    subs: new Float64Array(SUB_PER_S),      // mean-square ring of the last 3 s
+    subIdx: 0,
+    subCount: 0,
+    histI: new Float64Array(HIST_BINS),     // momentary blocks (integrated)
+    histS: new Float64Array(HIST_BINS),     // short-term values (LRA)
+    momentary: -Infinity,
+    shortTerm: -Infinity,
+    maxMomentary: -Infinity,
+    maxShortTerm: -Infinity,
+    frames: 0
+  };
+}
+
+/** Clear all measurements (filters included) */
+export function resetLoudness(m) {
+  m.z.fill(0);
+  m.subPos = 0; m.subSum = 0;
+  m.subs.fill(0); m.subIdx = 0; m.subCount = 0;
+  m.histI.fill(0); m.histS.fill(0);
+  m.momentary = m.shortTerm = m.maxMomentary = m.maxShortTerm = -Infinity;
+  m.frames = 0;
+}
+
+/**
+ * Feed one stereo block (any length).
+ * @param {ReturnType<typeof createLoudnessMeter>} m
+ * @param {Float32Array} L
+ * @param {Float32Array} R
+ */
+export function processLoudness(m, L, R) {
+  const [s, h] = m.coefs, z = m.z, n = L.length;
+  let sum = m.subSum, pos = m.subPos;
+  for (let i = 0; i < n; i++) {
+    // shelf -> high-pass, TDF2, per channel
+    let x = L[i];
+    let y = s.b0 * x + z[0]; z[0] = s.b1 * x - s.a1 * y + z[1]; z[1] = s.b2 * x - s.a2 * y;
+    x = y;
+    y = h.b0 * x + z[4]; z[4] = h.b1 * x - h.a1 * y + z[5]; z[5] = h.b2 * x - h.a2 * y;
+    sum += y * y;
+    x = R[i];
+    y = s.b0 * x + z[2]; z[2] = s.b1 * x - s.a1 * y + z[3]; z[3] = s.b2 * x - s.a2 * y;
+    x = y;
+    y = h.b0 * x + z[6]; z[6] = h.b1 * x - h.a1 * y + z[7]; z[7] = h.b2 * x - h.a2 * y;
+    sum += y * y;
+
+    if (++pos === m.subLen) {
+      m.subSum = sum; m.subPos = pos;
+      closeSubBlock(m);
+      sum = 0; pos = 0;
+    }
+  }
+  for (let k = 0; k < 8; k++) if (Math.abs(z[k]) < 1e-30) z[k] = 0;
+  m.subSum = sum; m.subPos = pos;
+  m.frames += n;
+}
+
+// Every 100 ms: update momentary/short-term and feed the gating histograms
+function closeSubBlock(m) {
+  m.subs[m.subIdx] = m.subSum / m.subLen;
+  m.subIdx = (m.subIdx + 1) % SUB_PER_S;
+  if (m.subCount < SUB_PER_S) m.subCount++;
+
+  if (m.subCount >= SUB_PER_M) {
+    m.momentary = energyToLufs(windowMean(m, SUB_PER_M));
+    if (m.momentary > m.maxMomentary) m.maxMomentary = m.momentary;
+    if (m.momentary >= ABS_GATE) m.histI[binOf(m.momentary)]++;
+  }
+  if (m.subCount >= SUB_PER_S) {
+    m.shortTerm = energyToLufs(windowMean(m, SUB_PER_S));
+    if (m.shortTerm > m.maxShortTerm) m.maxShortTerm = m.shortTerm;
+    if (m.shortTerm >= ABS_GATE) m.histS[binOf(m.shortTerm)]++;
+  }
+}
+
+function windowMean(m, count) {
+  let e = 0;
+  for (let k = 1; k <= count; k++) e += m.subs[(m.subIdx - k + SUB_PER_S) % SUB_PER_S];
+  return e / count;
+}
+
+// Mean energy of the histogram bins from `fromBin` up
+function gatedMean(hist, fromBin) {
+  let e = 0, c = 0;
+  for (let b = fromBin; b < HIST_BINS; b++) {
+    const k = hist[b];
+    if (k) { e += k * BIN_ENERGY[b]; c += k; }
+  }
+  return c ? e / c : 0;
+}
+
+/** Gated integrated loudness (LUFS, -Infinity until a block passes the gates) */
+export function integratedLoudness(m) {
+  const ungated = gatedMean(m.histI, 0);
+  if (!ungated) return -Infinity;
+  const rel = energyToLufs(ungated) - 10;
+  return energyToLufs(gatedMean(m.histI, binOf(Math.max(ABS_GATE, rel))));
+}
+
+/** Loudness range (LU, 0 until enough short-term values) */
+export function loudnessRange(m) {
+  const ungated = gatedMean(m.histS, 0);
+  if (!ungated) return 0;
+  const from = binOf(Math.max(ABS_GATE, energyToLufs(ungated) - 20));
+  let total = 0;
+  for (let b = from; b < HIST_BINS; b++) total += m.histS[b];
+  if (!total) return 0;
+  const lo = total * 0.10, hi = total * 0.95;
+  let acc = 0, pLo = null, pHi = null;
+  for (let b = from; b < HIST_BINS; b++) {
+    acc += m.histS[b];
+    if (pLo === null && acc > lo) pLo = binLufs(b);
+    if (pHi === null && acc >= hi) { pHi = binLufs(b); break; }
+  }
+  return (pLo === null || pHi === null) ? 0 : Math.max(0, pHi - pLo);
+}
+
+/**
+ * Current readings.
+ * @param {ReturnType<typeof createLoudnessMeter>} m
+ * @returns {{momentary:number, shortTerm:number, integrated:number, lra:number,
+ *            maxMomentary:number, maxShortTerm:number, seconds:number}}
+ */
+export function loudnessReadout(m) {
+  return {
+    momentary: m.momentary,
+    shortTerm: m.shortTerm,
+    integrated: integratedLoudness(m),
+    lra: loudnessRange(m),
+    maxMomentary: m.maxMomentary,
+    maxShortTerm: m.maxShortTerm,
+    seconds: m.frames / m.sr
+  };
+}
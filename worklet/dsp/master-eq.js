@@ -0,0 +1,99 @@
+/**
+ * @file master-eq.js
+ * @description 3-band master EQ: low shelf, peaking mid, high shelf.
+ *   Frequencies and gains are smoothed per block; bypass glides the gains to
+ *   0 dB and the bands are skipped entirely once flat.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+import { Biquad, FILTER_TYPES } from './filter-cutoff.js';
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+const num = (v, fallback) => (v == null || !Number.isFinite(Number(v))) ? fallback : Number(v);
+
+const SHELF_Q = 0.707;
+const FLAT_DB = 0.01;   // below this every band counts as flat
+
+/**
+ * Create master EQ state object.
+ * @param {number} sampleRate
+ * @param {object} [opts] initial settings (see setMasterEqOptions)
+ * @param {number} [opts.tauMs=30] parameter smoothing time
+ */
+export function createMasterEq(sampleRate, opts = {}) {
+  const eq = {
+    sr: sampleRate,
+    low:  new Biquad(sampleRate, FILTER_TYPES.LOWSHELF),
+    mid:  new Biquad(sampleRate, FILTER_TYPES.PEAK),
+    high: new Biquad(sampleRate, FILTER_TYPES.HIGHSHELF),
+    // targets / smoothed values
+    T: { lowHz: 120, lowDb: 0, midHz: 1000, midDb: 0, midQ: 0.7, highHz: 8000, highDb: 0 },
+    S: null,
+    bypass: false,
+    tauMs: Math.max(1, opts.tauMs ?? 30),
+    flat: true
+  };
+  setMasterEqOptions(eq, opts);
+  eq.S = { ...effectiveTargets(eq) };
+  return eq;
+}
+
+/**
+ * Update settings (missing keys are kept).
+ * @param {ReturnType<typeof createMasterEq>} eq
+ * @param {{lowHz?:number, lowDb?:number, midHz?:number, midDb?:number, midQ?:number,
+ *          highHz?:number, highDb?:number, bypass?:boolean}} o gains in dB (±15)
+ */
+export function setMasterEqOptions(eq, o = {}) {
+  const T = eq.T, ny = eq.sr * 0.45;
+  T.lowHz  = clamp(num(o.lowHz,  T.lowHz),  20, Math.min(1000, ny));
+  T.lowDb  = clamp(num(o.lowDb,  T.lowDb),  -15, 15);
+  T.midHz  = clamp(num(o.midHz,  T.midHz),  100, Math.min(10000, ny));
+  T.midDb  = clamp(num(o.midDb,  T.midDb),  -15, 15);
+  T.midQ   = clamp(num(o.midQ,   T.midQ),   0.25, 8);
+  T.highHz = clamp(num(o.highHz, T.highHz), 1000, ny);
+  T.highDb = clamp(num(o.highDb, T.highDb), -15, 15);
+  if (o.bypass != null) eq.bypass = !!o.bypass;
+}
+
+// Bypass = same bands at 0 dB (gains glide instead of jumping)
+function effectiveTargets(eq) {
+  const T = eq.T;
+  if (!eq.bypass) return T;
+  return { ...T, lowDb: 0, midDb: 0, highDb: 0 };
+}
+
+/**
+ * Equalize one block in place.
+ * @param {ReturnType<typeof createMasterEq>} eq
+ * @param {Float32Array} L
+ * @param {Float32Array} R
+ */
+export function processMasterEq(eq, L, R) {
+  const n = L.length;
+  const T = effectiveTargets(eq), S = eq.S;
+  const a = Math.exp(-(n / eq.sr) / (eq.tauMs / 1000));
+  for (const k in S) S[k] = S[k] * a + T[k] * (1 - a);
+
+  const flat = Math.abs(S.lowDb) < FLAT_DB && Math.abs(S.midDb) < FLAT_DB && Math.abs(S.highDb) < FLAT_DB
+            && T.lowDb === 0 && T.midDb === 0 && T.highDb === 0;
+  if (flat) {
+    if (!eq.flat) {
+      // Drop the filter memories so re-enabling starts clean
+      for (const b of [eq.low, eq.mid, eq.high]) { b.z1L = b.z2L = b.z1R = b.z2R = 0; }
+      S.lowDb = S.midDb = S.highDb = 0;
+      eq.flat = true;
+    }
+    return;
+  }
+  eq.flat = false;
+
+  eq.low.setCoeffs(S.lowHz, SHELF_Q, FILTER_TYPES.LOWSHELF, S.lowDb);
+  eq.mid.setCoeffs(S.midHz, S.midQ, FILTER_TYPES.PEAK, S.midDb);
+  eq.high.setCoeffs(S.highHz, SHELF_Q, FILTER_TYPES.HIGHSHELF, S.highDb);
+  eq.low.processTo(L, R, L, R);
+  eq.mid.processTo(L, R, L, R);
+  eq.high.processTo(L, R, L, R);
+}
@@ -0,0 +1,141 @@
+/**
+ * @file modmatrix.js
+ * @description Per-cursor modulation matrix: source/destination tables, routing
+ *   sanitization and application of bipolar amounts to a parameter object.
+ *   Block-rate sources are applied once per block; the per-grain random source is
+ *   re-applied at spawn time (only slots using it), so it can only reach
+ *   destinations read when a grain spawns.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+/** Modulation sources (index into the per-cursor source vector) */
+export const MOD_SOURCES = Object.freeze({
+  NONE: 0,
+  LFO1: 1,          // cursor LFO (shape/rate/sync from cursor params), bipolar
+  LFO2: 2,          // matrix LFOs, bipolar
+  LFO3: 3,
+  VELOCITY: 4,      // last note-on velocity, 0..1
+  FILTER_ENV: 5,    // filter ADSR, 0..1
+  MOD_WHEEL: 6,     // MIDI CC1, 0..1
+  AFTERTOUCH: 7,    // MIDI channel/poly pressure, 0..1
+  RANDOM: 8,        // new value per grain, bipolar
+  LOUDNESS: 9       // source loudness at the cursor (loudMap, normalized), 0..1
+});
+export const MOD_SOURCE_COUNT = 10;
+
+export const MOD_SLOTS = 6;
+export const MOD_LFOS  = 2;   // LFO2/LFO3
+
+/**
+ * Destinations: per-cursor parameter key and what a full-scale (+1) modulation does.
+ *  - lin:    value + v * span
+ *  - exp:    value * 2^(v * span)   (span in octaves)
+ *  - offset: accumulates into `key` starting from 0 (position offset, fraction of buffer)
+ * `grain` marks destinations read when a grain spawns (the only ones RANDOM can reach).
+ */
+export const MOD_DESTS = Object.freeze([
+  { key: 'posOffset',   kind: 'offset', span: 0.5, grain: true },
+  { key: 'pitch',       kind: 'exp', span: 2,   min: 0.01, max: 16, grain: true },
+  { key: 'pan',         kind: 'lin', span: 1,   min: -1,   max: 1, grain: true },
+  { key: 'density',     kind: 'exp', span: 3,   min: 0,    max: 400 },
+  { key: 'grainSize',   kind: 'exp', span: 2,   min: 0.01, max: 8, grain: true },
+  { key: 'spread',      kind: 'lin', span: 1,   min: 0,    max: 10, grain: true },
+  { key: 'gain',        kind: 'lin', span: 1,   min: 0,    max: 2 },
+  { key: 'cutoff',      kind: 'exp', span: 4,   min: 20,   max: 20000 },
+  { key: 'qNorm',       kind: 'lin', span: 1,   min: 0,    max: 1 },
+  { key: 'driveNorm',   kind: 'lin', span: 1,   min: 0,    max: 1 },
+  { key: 'attack',      kind: 'exp', span: 2,   min: 0.001, max: 10, grain: true },
+  { key: 'release',     kind: 'exp', span: 2,   min: 0.001, max: 10, grain: true },
+  { key: 'lfoDepth',    kind: 'lin', span: 1,   min: 0,    max: 1 },
+  { key: 'winAmount',   kind: 'lin', span: 1,   min: 0,    max: 1, grain: true },
+  { key: 'reverseProb', kind: 'lin', span: 1,   min: 0,    max: 1, grain: true },
+  { key: 'schedJitter', kind: 'lin', span: 1,   min: 0,    max: 1 },
+  { key: 'stepProb',    kind: 'lin', span: 1,   min: 0,    max: 1 },
+  { key: 'pitchJitter', kind: 'lin', span: 24,  min: 0,    max: 48, grain: true },
+  { key: 'panScatter',  kind: 'lin', span: 1,   min: 0,    max: 1, grain: true },
+  { key: 'ampJitter',   kind: 'lin', span: 24,  min: 0,    max: 48, grain: true },
+  { key: 'peakGainDb',  kind: 'lin', span: 18,  min: -24,  max: 24 },
+  { key: 'fEnvAmount',  kind: 'lin', span: 6,   min: -6,   max: 6 },
+  { key: 'keyTrack',    kind: 'lin', span: 1,   min: 0,    max: 1 }
+]);
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+/**
+ * Whether a slot can take effect: RANDOM only reaches per-grain destinations.
+ * @param {number} src
+ * @param {number} dst
+ * @returns {boolean}
+ */
+export function isRoutable(src, dst) {
+  return src !== MOD_SOURCES.RANDOM || !!MOD_DESTS[dst]?.grain;
+}
+
+/**
+ * Sanitize a routing description coming from the main thread.
+ * @param {{slots?: Array<{src:number,dst:number,amount:number}>, lfos?: Array<{shape:number,hz:number,sync:number}>}} raw
+ * @returns {{slots: Array<{src:number,dst:number,amount:number}>, lfos: Array<{shape:number,hz:number,sync:number}>, hasRandom: boolean}}
+ */
+export function normalizeMatrix(raw = {}) {
+  const slots = [];
+  const inSlots = Array.isArray(raw.slots) ? raw.slots : [];
+  for (let i = 0; i < inSlots.length && slots.length < MOD_SLOTS; i++) {
+    const s = inSlots[i] || {};
+    const src = s.src | 0, dst = s.dst | 0, amount = Number(s.amount);
+    if (src <= MOD_SOURCES.NONE || src >= MOD_SOURCE_COUNT) continue;
+    if (dst < 0 || dst >= MOD_DESTS.length) continue;
+    if (!Number.isFinite(amount) || amount === 0) continue;
+    if (!isRoutable(src, dst)) continue;
+    slots.push({ src, dst, amount: clamp(amount, -1, 1) });
+  }
+  const lfos = [];
+  const inLfos = Array.isArray(raw.lfos) ? raw.lfos : [];
+  for (let i = 0; i < MOD_LFOS; i++) {
+    const l = inLfos[i] || {};
+    lfos.push({
+      shape: Math.max(0, l.shape | 0),
+      hz: Math.max(0, Number(l.hz) || 0.5),
+      sync: Math.max(0, l.sync | 0)
+    });
+  }
+  return { slots, lfos, hasRandom: slots.some(s => s.src === MOD_SOURCES.RANDOM) };
+}
+
+// Copy p into a reused object, including destination keys p does not have
+// (a modulated value left there by an earlier call would otherwise be the base)
+function copyInto(scratch, p) {
+  Object.assign(scratch, p);
+  for (let i = 0; i < MOD_DESTS.length; i++) scratch[MOD_DESTS[i].key] = p[MOD_DESTS[i].key];
+  return scratch;
+}
+
+/**
+ * Apply routed modulation to a parameter object.
+ * Returns the input object untouched when nothing applies, otherwise a modulated copy
+ * (written into `scratch` when given, so per-grain calls do not allocate; every
+ * destination key is reset from `p` first, so nothing carries over between calls).
+ * @param {object} p cursor params
+ * @param {Array<{src:number,dst:number,amount:number}>} slots
+ * @param {Float32Array|number[]} src source values indexed by MOD_SOURCES
+ * @param {number} [onlySrc=-1] restrict to one source (e.g. RANDOM at spawn time)
+ * @param {object|null} [scratch=null] reused target object for the copy
+ * @returns {object}
+ */
+export function applyModSlots(p, slots, src, onlySrc = -1, scratch = null) {
+  let out = p;
+  for (let i = 0; i < slots.length; i++) {
+    const s = slots[i];
+    if (onlySrc >= 0 ? s.src !== onlySrc : s.src === MOD_SOURCES.RANDOM) continue;
+    const v = (src[s.src] || 0) * s.amount;
+    if (v === 0) continue;
+    const d = MOD_DESTS[s.dst];
+    if (out === p) out = scratch ? copyInto(scratch, p) : { ...p };
+    const cur = Number(out[d.key]);
+    if (d.kind === 'offset')   out[d.key] = (Number.isFinite(cur) ? cur : 0) + v * d.span;
+    else if (d.kind === 'exp') out[d.key] = clamp((Number.isFinite(cur) ? cur : 0) * Math.pow(2, v * d.span), d.min, d.max);
+    else                       out[d.key] = clamp((Number.isFinite(cur) ? cur : 0) + v * d.span, d.min, d.max);
+  }
+  return out;
+}
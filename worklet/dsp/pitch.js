@@ -0,0 +1,95 @@
+/**
+ * @file pitch.js
+ * @description Per-grain pitch randomization helpers: scale tables and
+ *   nearest-degree quantization of a semitone offset.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+/** Scale modes for the per-cursor `pitchScale` parameter (0 = unquantized) */
+export const SCALES = Object.freeze({
+  OFF: 0,
+  CHROMATIC: 1,
+  MAJOR: 2,
+  MINOR: 3,
+  PENTATONIC: 4,
+  WHOLE_TONE: 5,
+  CUSTOM: 6
+});
+
+/**
+ * Scale degrees as 12-bit pitch-class masks (bit n = n semitones above the root).
+ * Index matches SCALES; CUSTOM uses the per-cursor `scaleMask` instead.
+ */
+const SCALE_MASKS = [
+  0,                                        // OFF
+  0xFFF,                                    // chromatic
+  maskOf([0, 2, 4, 5, 7, 9, 11]),           // major (ionian)
+  maskOf([0, 2, 3, 5, 7, 8, 10]),           // natural minor (aeolian)
+  maskOf([0, 2, 4, 7, 9]),                  // major pentatonic
+  maskOf([0, 2, 4, 6, 8, 10])               // whole-tone
+];
+
+/**
+ * Build a 12-bit pitch-class mask from an interval list (semitones, any octave).
+ * @param {number[]} intervals
+ * @returns {number}
+ */
+export function maskOf(intervals) {
+  let m = 0;
+  for (const iv of intervals) {
+    if (!Number.isFinite(iv)) continue;
+    m |= 1 << ((((Math.round(iv) % 12) + 12) % 12));
+  }
+  return m;
+}
+
+/**
+ * Resolve the mask of a scale mode.
+ * @param {number} scale SCALES value
+ * @param {number} customMask mask used when scale === SCALES.CUSTOM
+ * @returns {number} 12-bit mask (0 = no quantization)
+ */
+export function scaleMaskFor(scale, customMask) {
+  const s = scale | 0;
+  if (s === SCALES.CUSTOM) return (customMask | 0) & 0xFFF;
+  return SCALE_MASKS[s] || 0;
+}
+
+/**
+ * Snap a semitone value to the nearest degree of a scale.
+ * Ties resolve downwards; an empty mask returns the input untouched.
+ * @param {number} semis pitch in semitones (0 = root of the sample, i.e. C)
+ * @param {number} mask 12-bit scale mask
+ * @param {number} [root=0] scale root pitch class (0..11, 0 = C)
+ * @returns {number}
+ */
+export function quantizeSemis(semis, mask, root = 0) {
+  if (!mask) return semis;
+  const rel = semis - root;
+  const base = Math.floor(rel);
+  // Scan outwards from the floor; at most 6 steps each way cover any non-empty mask
+  let best = base, bestDist = Infinity;
+  for (let d = -6; d <= 7; d++) {
+    const n = base + d;
+    if (!(mask & (1 << (((n % 12) + 12) % 12)))) continue;
+    const dist = Math.abs(n - rel);
+    if (dist < bestDist) { best = n; bestDist = dist; }
+  }
+  return best + root;
+}
+
+/**
+ * Random pitch offset for one grain.
+ * @param {number} baseSemis pitch of the note being played (semitones)
+ * @param {number} jitter max deviation in semitones (uniform ±jitter)
+ * @param {number} mask scale mask (0 = continuous)
+ * @param {number} root scale root (0..11)
+ * @param {() => number} [rand=Math.random]
+ * @returns {number} final grain pitch in semitones
+ */
+export function jitteredSemis(baseSemis, jitter, mask, root, rand = Math.random) {
+  const j = jitter > 0 ? (rand() * 2 - 1) * jitter : 0;
+  return mask ? quantizeSemis(baseSemis + j, mask, root) : baseSemis + j;
+}
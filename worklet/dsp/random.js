@@ -0,0 +1,76 @@
+/**
+ * @file random.js
+ * @description Seedable pseudo-random numbers (xoshiro128**, seeded through
+ *   splitmix32) so renders can be reproduced bit-for-bit.
+ *   Independent streams are derived from one session seed (deriveSeed), so a
+ *   change in one consumer does not shift the numbers another one sees.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+// splitmix32 step: spreads any 32-bit seed over the state words
+function splitmix32(x) {
+  x = (x + 0x9E3779B9) >>> 0;
+  let z = x;
+  z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+  z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+  return [x, (z ^ (z >>> 16)) >>> 0];
+}
+
+/** Normalize any number to a 32-bit unsigned seed */
+export function toSeed(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? (Math.floor(Math.abs(n)) % 4294967296) >>> 0 : 0;
+}
+
+/**
+ * Seed of sub-stream `stream` of a session seed.
+ * @param {number} seed session seed
+ * @param {number} stream stream index
+ */
+export function deriveSeed(seed, stream) {
+  let z = (toSeed(seed) ^ Math.imul((stream | 0) + 1, 0x9E3779B1)) >>> 0;
+  z = Math.imul(z ^ (z >>> 15), 0x2C1B3C6D);
+  z = Math.imul(z ^ (z >>> 12), 0x297A2D39);
+  return (z ^ (z >>> 15)) >>> 0;
+}
+
+/**
+ * Create a random stream. `r.next()` returns a float in [0, 1) and can be
+ * handed to helpers that take a `rand` function.
+ * @param {number} seed
+ */
+export function createRandom(seed = 1) {
+  const r = { s: new Uint32Array(4), next: null };
+  r.next = () => randomFloat(r);
+  seedRandom(r, seed);
+  return r;
+}
+
+/** Restart a stream from `seed` */
+export function seedRandom(r, seed) {
+  let x = toSeed(seed), v;
+  for (let i = 0; i < 4; i++) { [x, v] = splitmix32(x); r.s[i] = v; }
+  if ((r.s[0] | r.s[1] | r.s[2] | r.s[3]) === 0) r.s[0] = 1;   // all-zero state is a fixed point
+}
+
+/** Next 32-bit unsigned integer (xoshiro128**) */
+export function randomUint32(r) {
+  const s = r.s;
+  const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+  const t = s[1] << 9;
+  s[2] ^= s[0]; s[3] ^= s[1]; s[1] ^= s[2]; s[0] ^= s[3];
+  s[2] ^= t;
+  s[3] = rotl(s[3], 11);
+  return result;
+}
+
+/** Next float in [0, 1) (32 bits of resolution) */
+export function randomFloat(r) {
+  return randomUint32(r) / 4294967296;
+}
+
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
@@ -0,0 +1,221 @@
+/**
+ * @file reverb.js
+ * @description Master algorithmic reverb fed by the per-cursor sends.
+ *   Predelay -> two allpass diffusers per side -> 8-line feedback delay network
+ *   (Hadamard mixing, one-pole damping in every line, RT60-based line gains).
+ *   Size scales the line lengths (smoothed, fractional reads), width is a mid/side
+ *   control on the wet signal and mix is the return level added to the dry sum.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+import { dampToCoef } from './delay.js';
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+/** Longest predelay (ms) */
+export const MAX_PREDELAY_MS = 250;
+
+// Line lengths at size 1 (ms, mutually prime in samples at common rates)
+const LINE_MS  = [31.3, 37.9, 41.7, 47.3, 53.9, 61.1, 67.7, 73.1];
+const SIZE_MIN = 0.3, SIZE_MAX = 1.5;   // size 0..1 -> length scale
+const DIFF_MS  = { L: [4.77, 12.7], R: [5.33, 11.3] };
+const DIFF_G   = 0.6;
+const OUT_GAIN = 0.35;                  // keeps a dense tail near the dry level
+const SILENCE  = 1e-5;
+const N = 8, H = 1 / Math.sqrt(N);
+
+const sizeToScale = (s) => SIZE_MIN + (SIZE_MAX - SIZE_MIN) * clamp(Number(s) || 0, 0, 1);
+
+function createAllpass(len) {
+  return { buf: new Float32Array(Math.max(1, len)), i: 0 };
+}
+
+/**
+ * Create reverb state object.
+ * @param {number} sampleRate
+ * @param {object} [opts]
+ * @param {number} [opts.sizeGlideMs=120] Size smoothing (line lengths glide)
+ * @param {number} [opts.paramMs=20]      Damping/width/mix/predelay smoothing
+ */
+export function createReverb(sampleRate, opts = {}) {
+  const ms = sampleRate / 1000;
+  const lineSize = Math.ceil(LINE_MS[N - 1] * SIZE_MAX * ms) + 4;
+  const preSize  = Math.ceil(MAX_PREDELAY_MS * ms) + 4;
+  return {
+    sr: sampleRate,
+    lineSize,
+    lines: Array.from({ length: N }, () => new Float32Array(lineSize)),
+    lp: new Float32Array(N),
+    gain: new Float32Array(N),
+    y: new Float64Array(N),          // per-sample scratch (line outputs / mixing)
+    write: 0,
+    preSize,
+    preL: new Float32Array(preSize),
+    preR: new Float32Array(preSize),
+    preW: 0,
+    apL: DIFF_MS.L.map(t => createAllpass(Math.round(t * ms))),
+    apR: DIFF_MS.R.map(t => createAllpass(Math.round(t * ms))),
+    // targets / smoothed values (predelay in samples, damp as one-pole coefficient)
+    scaleT: sizeToScale(0.6), scale: sizeToScale(0.6),
+    decay: 2.5,
+    dampT: 1,  damp: 1,
+    preT: 0,   pre: 0,
+    widthT: 1, width: 1,
+    mixT: 0,   mix: 0,
+    kSize:  1 - Math.exp(-1 / (sampleRate * ((opts.sizeGlideMs ?? 120) / 1000))),
+    kParam: 1 - Math.exp(-1 / (sampleRate * ((opts.paramMs ?? 20) / 1000))),
+    quiet: Infinity,     // frames since the last audible input/output
+    cleared: true        // network is known to be all zeros
+  };
+}
+
+/**
+ * Set the targets the reverb glides to.
+ * @param {ReturnType<typeof createReverb>} r
+ * @param {{size?:number, decay?:number, damp?:number, predelayMs?:number, width?:number, mix?:number}} t
+ *        size 0..1, decay = RT60 in seconds, damp 0..1, width 0..1, mix = return level 0..1
+ */
+export function setReverbTargets(r, { size, decay, damp, predelayMs, width, mix } = {}) {
+  if (size  != null) r.scaleT = sizeToScale(size);
+  if (decay != null) r.decay  = clamp(Number(decay) || 0, 0.1, 30);
+  if (damp  != null) r.dampT  = dampToCoef(damp, r.sr);
+  if (predelayMs != null) r.preT = clamp(Number(predelayMs) || 0, 0, MAX_PREDELAY_MS) * r.sr / 1000;
+  if (width != null) r.widthT = clamp(Number(width) || 0, 0, 1);
+  if (mix   != null) r.mixT   = clamp(Number(mix) || 0, 0, 1);
+}
+
+/** Clear the network */
+export function resetReverb(r) {
+  for (const l of r.lines) l.fill(0);
+  r.lp.fill(0);
+  r.preL.fill(0); r.preR.fill(0);
+  for (const ap of r.apL.concat(r.apR)) ap.buf.fill(0);
+  r.quiet = Infinity;
+  r.cleared = true;
+}
+
+// Frames after the last audible sample during which the tail may still surface
+const tailFrames = (r) => r.pre + r.scale * LINE_MS[N - 1] * r.sr / 1000 + 128;
+
+/** True while the tail is still audible (keeps the engine running after the grains stop) */
+export function reverbActive(r) {
+  return (r.mix > 0 || r.mixT > 0) && r.quiet <= tailFrames(r);
+}
+
+/**
+ * Run one block: adds the wet signal of the send bus to outL/outR.
+ * @param {ReturnType<typeof createReverb>} r
+ * @param {Float32Array} inL send bus (left)
+ * @param {Float32Array} inR send bus (right)
+ * @param {Float32Array} outL
+ * @param {Float32Array} outR
+ */
+export function processReverb(r, inL, inR, outL, outR) {
+  const n = inL.length;
+
+  // Bypassed: drop the tail once
+  if (r.mix === 0 && r.mixT === 0) {
+    if (!r.cleared) resetReverb(r);
+    return;
+  }
+
+  // Idle (tail gone, nothing sent): skip the network, jump to the targets
+  if (r.quiet > tailFrames(r)) {
+    let any = false;
+    for (let i = 0; i < n; i++) if (inL[i] !== 0 || inR[i] !== 0) { any = true; break; }
+    if (!any) {
+      if (!r.cleared) resetReverb(r);
+      r.scale = r.scaleT; r.damp = r.dampT; r.pre = r.preT; r.width = r.widthT; r.mix = r.mixT;
+      return;
+    }
+  }
+  r.cleared = false;
+
+  const lines = r.lines, lp = r.lp, g = r.gain, y = r.y, size = r.lineSize;
+  const preL = r.preL, preR = r.preR, preSize = r.preSize;
+  const [aL0, aL1] = r.apL, [aR0, aR1] = r.apR;
+  const kS = r.kSize, kP = r.kParam;
+  const scaleT = r.scaleT, dampT = r.dampT, preT = r.preT, widthT = r.widthT, mixT = r.mixT;
+  let w = r.write, pw = r.preW;
+  let scale = r.scale, damp = r.damp, pre = r.pre, width = r.width, mix = r.mix;
+  let peak = 0;
+
+  // Line gains for -60 dB after `decay` seconds (from the block-start size)
+  const msToS = r.sr / 1000;
+  for (let k = 0; k < N; k++) g[k] = Math.pow(10, -3 * (LINE_MS[k] * scale / 1000) / r.decay);
+
+  for (let i = 0; i < n; i++) {
+    scale += (scaleT - scale) * kS;
+    damp  += (dampT  - damp)  * kP;
+    pre   += (preT   - pre)   * kP;
+    width += (widthT - width) * kP;
+    mix   += (mixT   - mix)   * kP;
+
+    // Predelay (fractional read)
+    preL[pw] = inL[i]; preR[pw] = inR[i];
+    let rp = pw - pre;
+    if (rp < 0) rp += preSize;
+    const p0 = rp | 0, pf = rp - p0, p1 = (p0 + 1 === preSize) ? 0 : p0 + 1;
+    let xl = preL[p0] + (preL[p1] - preL[p0]) * pf;
+    let xr = preR[p0] + (preR[p1] - preR[p0]) * pf;
+    if (++pw === preSize) pw = 0;
+
+    // Input diffusion
+    xl = allpass(aL1, allpass(aL0, xl));
+    xr = allpass(aR1, allpass(aR0, xr));
+
+    // Read the lines, damp, apply decay gains
+    for (let k = 0; k < N; k++) {
+      let q = w - LINE_MS[k] * scale * msToS;
+      if (q < 0) q += size;
+      const q0 = q | 0, qf = q - q0, q1 = (q0 + 1 === size) ? 0 : q0 + 1;
+      const line = lines[k];
+      const v = line[q0] + (line[q1] - line[q0]) * qf;
+      lp[k] += (v - lp[k]) * damp;
+      y[k] = lp[k];
+    }
+
+    // Outputs: alternating taps per side
+    const wl = (y[0] - y[2] + y[4] - y[6]) * OUT_GAIN;
+    const wr = (y[1] - y[3] + y[5] - y[7]) * OUT_GAIN;
+
+    // 8x8 Hadamard (fast Walsh-Hadamard, normalized)
+    for (let k = 0; k < N; k++) y[k] *= g[k];
+    for (let h = 1; h < N; h <<= 1) {
+      for (let a = 0; a < N; a += h << 1) {
+        for (let b = a; b < a + h; b++) {
+          const u = y[b], v = y[b + h];
+          y[b] = u + v; y[b + h] = u - v;
+        }
+      }
+    }
+    for (let k = 0; k < N; k++) lines[k][w] = y[k] * H + ((k & 1) ? xr : xl);
+    if (++w === size) w = 0;
+
+    // Width (mid/side) + return level
+    const mid = (wl + wr) * 0.5, side = (wl - wr) * 0.5 * width;
+    const a = Math.max(Math.abs(wl), Math.abs(wr), Math.abs(xl), Math.abs(xr));
+    if (a > peak) peak = a;
+    outL[i] += (mid + side) * mix;
+    outR[i] += (mid - side) * mix;
+  }
+
+  for (let k = 0; k < N; k++) if (Math.abs(lp[k]) < 1e-24) lp[k] = 0;
+  if (mixT === 0 && mix < 1e-5) mix = 0;
+
+  r.write = w; r.preW = pw;
+  r.scale = scale; r.damp = damp; r.pre = pre; r.width = width; r.mix = mix;
+  r.quiet = (peak > SILENCE) ? 0 : r.quiet + n;
+}
+
+// Schroeder allpass (feedback/feedforward gain DIFF_G)
+function allpass(ap, x) {
+  const buf = ap.buf, i = ap.i;
+  const d = buf[i];
+  const v = x + d * DIFF_G;
+  buf[i] = v;
+  ap.i = (i + 1 === buf.length) ? 0 : i + 1;
+  return d - v * DIFF_G;
+}
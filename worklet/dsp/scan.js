@@ -0,0 +1,93 @@
+/**
+ * @file scan.js
+ * @description Read-head scanning for the cursors.
+ *   Moves a normalized position by the scan speed and resolves what happens at the
+ *   edges: wrap around (classic), bounce back (ping-pong, no seam), stop at the end
+ *   (one-shot, reported once) or loop between per-cursor in/out points.
+ *   All modes work inside [lo, hi]: the whole buffer, or the cursor region.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+export const SCAN_MODE = Object.freeze({
+  WRAP: 0,      // end -> start jump (previous behavior)
+  PING_PONG: 1, // reverse direction at the edges
+  ONE_SHOT: 2,  // stop at the edge it is moving toward
+  LOOP: 3       // wrap inside the in/out points, even with the region off
+});
+
+/** Per-cursor scan state (direction for ping-pong, end latch for one-shot) */
+export function createScanState() {
+  return { dir: 1, atEnd: false, hitEnd: false };
+}
+
+/**
+ * Advance a read head.
+ * @param {number} pos current position (0..1)
+ * @param {number} delta movement for this block (scan speed × seconds, signed)
+ * @param {number} mode SCAN_MODE value
+ * @param {{dir:number, atEnd:boolean, hitEnd:boolean}} s scan state (mutated;
+ *        `hitEnd` is true only on the block a one-shot scan reaches its edge)
+ * @param {number} [lo=0] lower scan bound (0..1)
+ * @param {number} [hi=1] upper scan bound (0..1, >= lo)
+ * @returns {number} new position (lo..hi)
+ */
+export function advanceScan(pos, delta, mode, s, lo = 0, hi = 1) {
+  s.hitEnd = false;
+  const m = mode | 0;
+  if (m !== SCAN_MODE.PING_PONG) s.dir = 1;
+  if (m !== SCAN_MODE.ONE_SHOT) s.atEnd = false;
+
+  switch (m) {
+    case SCAN_MODE.PING_PONG: {
+      let x = pos + delta * s.dir;
+      // Reflect off the edges (a few passes cover any realistic block step)
+      for (let k = 0; k < 4 && (x > hi || x < lo); k++) {
+        x = x > hi ? 2 * hi - x : 2 * lo - x;
+        s.dir = -s.dir;
+      }
+      return Math.max(lo, Math.min(hi, x));
+    }
+    case SCAN_MODE.ONE_SHOT: {
+      const x = pos + delta;
+      if (delta > 0 && x >= hi) return latchEnd(s, hi);
+      if (delta < 0 && x <= lo) return latchEnd(s, lo);
+      if (delta !== 0) s.atEnd = false;
+      return Math.max(lo, Math.min(hi, x));
+    }
+    default: {
+      // WRAP and LOOP: jump back to the other edge
+      const len = hi - lo;
+      if (len < 1e-6) return lo;
+      return lo + wrap(pos + delta - lo, len);
+    }
+  }
+}
+
+/**
+ * Normalized bounds a cursor lives in: its region when enabled (or when looping
+ * between in/out points), otherwise the whole buffer.
+ * @param {{regionOn?:number, scanMode?:number, loopStart?:number, loopEnd?:number}} p cursor params
+ * @param {{lo:number, hi:number}} out reused result object
+ * @returns {{lo:number, hi:number}} `out`
+ */
+export function scanBounds(p, out) {
+  if (p.regionOn || (p.scanMode | 0) === SCAN_MODE.LOOP) {
+    const a = Math.max(0, Math.min(1, p.loopStart || 0));
+    const b = Math.max(0, Math.min(1, p.loopEnd ?? 1));
+    out.lo = Math.min(a, b); out.hi = Math.max(a, b);
+  } else {
+    out.lo = 0; out.hi = 1;
+  }
+  return out;
+}
+
+function latchEnd(s, edge) {
+  if (!s.atEnd) { s.atEnd = true; s.hitEnd = true; }
+  return edge;
+}
+
+function wrap(x, len) {
+  return ((x % len) + len) % len;
+}
@@ -1,8 +1,9 @@
 /**
  * @file scheduler.js
- * @description Poisson-based grain scheduler and OLA (overlap-add) utilities.
- *   Provides exponentially-distributed inter-grain intervals to avoid
- *   periodic phase-locking artifacts, plus overlap estimation and autogain.
+ * @description Grain scheduler and OLA (overlap-add) utilities.
+ *   Provides exponentially-distributed (Poisson) inter-grain intervals to avoid
+ *   periodic phase-locking artifacts, jittered-uniform and strictly synchronous
+ *   intervals, plus overlap estimation and autogain.
  */
 
 'use strict';
@@ -14,6 +15,13 @@ const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
 const INT_MAX = 0x7fffffff;
 const safeFloor = (x) => Math.min(INT_MAX, Math.max(1, Math.floor(x)));
 
+/** Scheduler modes (per-cursor `schedMode` parameter) */
+export const SCHED_MODES = Object.freeze({
+  POISSON: 0, // clouds: exponential inter-arrival
+  UNIFORM: 1, // steadier streams: fixed rate +/- jitter
+  SYNC:    2  // pitched buzz/formants: exact period, rate itself is audible
+});
+
 /**
  * Returns the number of frames until next grain spawn
  * using a Poisson process (exponential inter-arrival).
@@ -21,12 +29,13 @@ const safeFloor = (x) => Math.min(INT_MAX, Math.max(1, Math.floor(x)));
  *
  * @param {number} sampleRate
  * @param {number} density grains/sec (>= 1e-6)
+ * @param {() => number} [rand=Math.random]
  * @returns {number} frames (>=1)
  */
-export function nextIntervalFramesPoisson(sampleRate, density) {
+export function nextIntervalFramesPoisson(sampleRate, density, rand = Math.random) {
   const d = Math.max(1e-6, density || 0);
   const mean = sampleRate / d;
-  const u = Math.random();                 // U ~ [0,1)
+  const u = rand();                 // U ~ [0,1)
   const exp = -mean * Math.log(1 - u);     // exponential
   return safeFloor(exp);
 }
@@ -38,18 +47,50 @@ export function nextIntervalFramesPoisson(sampleRate, density) {
  * @param {number} sampleRate
  * @param {number} density grains/sec
  * @param {number} jitter 0..1 (0 = fixed, 1 = +/-100%)
+ * @param {() => number} [rand=Math.random]
  * @returns {number} frames (>=1)
  */
-export function nextIntervalFramesUniformJitter(sampleRate, density, jitter = 0.2) {
+export function nextIntervalFramesUniformJitter(sampleRate, density, jitter = 0.2, rand = Math.random) {
   const d = Math.max(1e-6, density || 0);
   const base = sampleRate / d;
   const j = clamp(jitter ?? 0.2, 0, 1);
   const span = base * j;
   // uniform in [base - span, base + span]
-  const v = base + (Math.random() * 2 - 1) * span;
+  const v = base + (rand() * 2 - 1) * span;
   return safeFloor(v);
 }
 
+/**
+ * Strictly synchronous variant: exact period, NOT floored, so the caller can
+ * accumulate fractional frames and keep the grain rate (pitch) accurate.
+ *
+ * @param {number} sampleRate
+ * @param {number} density grains/sec
+ * @returns {number} frames (>=1, fractional)
+ */
+export function nextIntervalFramesSync(sampleRate, density) {
+  const d = Math.max(1e-6, density || 0);
+  return Math.max(1, Math.min(INT_MAX, sampleRate / d));
+}
+
+/**
+ * Interval for the given scheduler mode.
+ *
+ * @param {number} mode one of SCHED_MODES
+ * @param {number} sampleRate
+ * @param {number} density grains/sec
+ * @param {number} jitter 0..1 (UNIFORM mode only)
+ * @param {() => number} [rand=Math.random]
+ * @returns {number} frames (>=1)
+ */
+export function nextIntervalFrames(mode, sampleRate, density, jitter = 0.2, rand = Math.random) {
+  switch (mode | 0) {
+    case SCHED_MODES.UNIFORM: return nextIntervalFramesUniformJitter(sampleRate, density, jitter, rand);
+    case SCHED_MODES.SYNC:    return nextIntervalFramesSync(sampleRate, density);
+    default:                  return nextIntervalFramesPoisson(sampleRate, density, rand);
+  }
+}
+
 /**
  * Estimate average number of overlapping grains (OLA)
  * Overlaps ~= density * (attack + release)
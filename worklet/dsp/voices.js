@@ -0,0 +1,45 @@
+/**
+ * @file voices.js
+ * @description Voice allocation helpers for keyboard/MIDI notes.
+ *   Every held note is a voice with its own grain scheduler and amplitude envelope;
+ *   when a cursor runs out of voices one of them is stolen according to a policy.
+ *   Designed for use in AudioWorklet but platform-agnostic.
+ */
+
+'use strict';
+
+export const VOICE_STEAL = Object.freeze({
+  OLDEST: 0,     // least recently triggered voice
+  QUIETEST: 1,   // lowest current envelope level
+  SAME_NOTE: 2   // re-pressed pitches reuse their (releasing) voice, otherwise oldest
+});
+
+export const MAX_VOICES = 16;
+
+/** Clamp a voice-count parameter to 1..MAX_VOICES */
+export function voiceLimit(count) {
+  const n = Math.round(Number(count) || 0);
+  return Math.max(1, Math.min(MAX_VOICES, n));
+}
+
+/**
+ * Pick the voice to give up for a new note.
+ * Released voices are always preferred over held ones, so a fading tail is
+ * sacrificed before a sounding note.
+ * @param {{age:number, released:boolean, stolen?:boolean, level:number}[]} voices
+ * @param {number} policy VOICE_STEAL value
+ * @returns {number} index into `voices`, or -1 if none can be stolen
+ */
+export function pickVoiceToSteal(voices, policy) {
+  const quiet = (policy | 0) === VOICE_STEAL.QUIETEST;
+  let best = -1;
+  for (let i = 0; i < voices.length; i++) {
+    const v = voices[i];
+    if (v.stolen) continue;
+    if (best < 0) { best = i; continue; }
+    const b = voices[best];
+    if (v.released !== b.released) { if (v.released) best = i; continue; }
+    if (quiet ? v.level < b.level : v.age < b.age) best = i;
+  }
+  return best;
+}
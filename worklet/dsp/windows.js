@@ -1,8 +1,9 @@
 /**
  * @file windows.js
  * @description DSP utilities for grain envelopes and panning.
- *   Provides Hann window lookup table, envelope interpolation,
- *   and equal-power panning coefficients.
+ *   Provides Hann window lookup table, selectable grain window shapes
+ *   (Tukey, Gaussian, trapezoid, expodec, rexpodec, rectangular),
+ *   envelope interpolation, and equal-power panning coefficients.
  */
 
 'use strict';
@@ -23,13 +24,119 @@ export function createHannLUT(size = 1024) {
   return lut;
 }
 
+/** Grain window shapes (per-cursor `winShape` parameter) */
+export const WINDOW_SHAPES = Object.freeze({
+  HANN:      0,
+  TUKEY:     1, // amount = flatness (0 = Hann, 1 = almost rectangular)
+  GAUSSIAN:  2, // amount = width
+  TRAPEZOID: 3, // amount = flatness of the plateau
+  EXPODEC:   4, // percussive: instant attack, exponential decay (amount = steepness)
+  REXPODEC:  5, // reverse swell: exponential rise, instant release (amount = steepness)
+  RECT:      6  // rectangular with raised-cosine micro-fades (amount = fade length)
+});
+export const WINDOW_SHAPE_COUNT = 7;
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+// Raised-cosine ramp 0..1 over t in [0,1]
+const cosRamp = (t) => 0.5 - 0.5 * Math.cos(Math.PI * clamp01(t));
+
+/**
+ * Window value at normalized time t in [0..1] for a given shape.
+ * All shapes start and end at (or very close to) zero to avoid clicks.
+ *
+ * @param {number} shape One of WINDOW_SHAPES
+ * @param {number} t Normalized time 0..1
+ * @param {number} amount Shape-dependent parameter 0..1
+ * @returns {number} Envelope value 0..1
+ */
+export function windowAt(shape, t, amount = 0.5) {
+  const a = clamp01(amount);
+  switch (shape | 0) {
+    case WINDOW_SHAPES.TUKEY: {
+      const alpha = Math.max(0.02, 1 - a);     // taper fraction (1 = Hann)
+      const h = alpha / 2;
+      if (t < h)     return cosRamp(t / h);
+      if (t > 1 - h) return cosRamp((1 - t) / h);
+      return 1;
+    }
+    case WINDOW_SHAPES.GAUSSIAN: {
+      const sigma = 0.05 + 0.25 * a;
+      const g  = Math.exp(-0.5 * ((t - 0.5) / sigma) ** 2);
+      const g0 = Math.exp(-0.5 * (0.5 / sigma) ** 2); // edge value, removed so ends reach 0
+      return Math.max(0, (g - g0) / (1 - g0));
+    }
+    case WINDOW_SHAPES.TRAPEZOID: {
+      const r = Math.max(0.01, 0.5 * (1 - a)); // ramp fraction per side
+      return Math.min(1, t / r, (1 - t) / r);
+    }
+    case WINDOW_SHAPES.EXPODEC:
+    case WINDOW_SHAPES.REXPODEC: {
+      const x = (shape === WINDOW_SHAPES.REXPODEC) ? 1 - t : t;
+      const atk = 0.01;                        // short click-free onset
+      const k = 2 + 10 * a;                    // decay steepness
+      if (x < atk) return cosRamp(x / atk);
+      const u = (x - atk) / (1 - atk);
+      const tail = Math.exp(-k);
+      return Math.max(0, (Math.exp(-k * u) - tail) / (1 - tail));
+    }
+    case WINDOW_SHAPES.RECT: {
+      const f = 0.005 + 0.045 * a;             // micro-fade fraction per side
+      if (t < f)     return cosRamp(t / f);
+      if (t > 1 - f) return cosRamp((1 - t) / f);
+      return 1;
+    }
+    case WINDOW_SHAPES.HANN:
+    default:
+      return Math.sin(Math.PI * t) ** 2;
+  }
+}
+
+/**
+ * Create a lookup table for any window shape over [0..1]
+ * @param {number} shape One of WINDOW_SHAPES
+ * @param {number} size Number of samples in the table (>= 16)
+ * @param {number} amount Shape-dependent parameter 0..1
+ * @returns {Float32Array}
+ */
+export function createWindowLUT(shape, size = 1024, amount = 0.5) {
+  const N = Math.max(16, (size | 0));
+  const lut = new Float32Array(N);
+  for (let i = 0; i < N; i++) lut[i] = windowAt(shape, i / (N - 1), amount);
+  return lut;
+}
+
+/**
+ * Lazily-built bank of window LUTs, addressed by a small integer index
+ * so grains can store their window in a typed array.
+ * The shape amount is quantized to `steps + 1` levels per shape.
+ */
+export class WindowBank {
+  constructor(size = 1024, steps = 16) {
+    this.size  = Math.max(16, size | 0);
+    this.steps = Math.max(1, steps | 0);
+    this.luts  = new Array(1 + (WINDOW_SHAPE_COUNT - 1) * (this.steps + 1)).fill(null);
+    this.luts[0] = createHannLUT(this.size);
+  }
+  /** Index of the LUT for (shape, amount); builds it on first use */
+  indexFor(shape, amount = 0.5) {
+    const s = shape | 0;
+    if (s <= 0 || s >= WINDOW_SHAPE_COUNT) return 0;
+    const q = Math.round(clamp01(Number.isFinite(amount) ? amount : 0.5) * this.steps);
+    const idx = 1 + (s - 1) * (this.steps + 1) + q;
+    if (!this.luts[idx]) this.luts[idx] = createWindowLUT(s, this.size, q / this.steps);
+    return idx;
+  }
+  lut(idx) { return this.luts[idx] || this.luts[0]; }
+}
+
 /**
- * Read Hann envelope value via LUT with linear interpolation.
- * Equivalent to sin^2(pi * (pos/(len-1))), but much more efficient.
+ * Read envelope value via LUT with linear interpolation.
+ * For the Hann table this is equivalent to sin^2(pi * (pos/(len-1))), but much more efficient.
  *
  * @param {number} pos Current index in the envelope [0..len-1]
  * @param {number} len Total envelope length (frames)
- * @param {Float32Array} lut Hann table created with createHannLUT()
+ * @param {Float32Array} lut Table created with createHannLUT() or createWindowLUT()
  * @returns {number} Envelope value 0..1
  */
 export function envAtFromLUT(pos, len, lut) {
@@ -1,26 +1,60 @@
 /**
  * @file granular-processor.js
  * @description Main granular synthesis AudioWorklet processor.
- *   Implements polyphonic grain generation with multiple cursors (A/B/C),
- *   Poisson-based scheduling, per-cursor filtering, and a peak limiter.
+ *   Implements polyphonic grain generation with 1..8 cursors (A, B, C, …),
+ *   switchable grain scheduling (Poisson, jittered-uniform, synchronous),
+ *   optional tempo-synced triggering from an internal BPM clock,
+ *   selectable grain windows, reverse/ping-pong grains, linear/cubic/sinc source
+ *   interpolation (band-limited when pitched up, chosen per grain at spawn within a tap budget),
+ *   wrap/ping-pong/one-shot/loop scanning of the read heads, optional per-cursor
+ *   regions that confine scan, spread and position modulation,
+ *   per-cursor filtering and stereo/ping-pong delay inserts, a master reverb fed
+ *   by per-cursor sends, and a master chain (3-band EQ, glue compressor, peak
+ *   limiter) configurable at runtime, metered with BS.1770 / EBU R128 loudness.
  * 
  * Key features:
  *   - Soft kill for grains (smooth release instead of abrupt cutoff)
  *   - Per-cursor gain smoothing to prevent clicks during parameter changes
+ *   - Configurable grain pool with oldest/quietest/fair-share stealing (stolen
+ *     grains fade over the soft-kill tail)
  *   - Scheduler backpressure to prevent grain explosion and CPU overload
+ *   - Render-time (DSP load) telemetry and an optional adaptive mode that trades
+ *     interpolation quality, density and grain size for headroom
  *   - Per-block spawn limits as CPU guardrail
+ *   - Offline mode (bounce): starting state and a frame-stamped event timeline
+ *     arrive with the node options, so an OfflineAudioContext render does not
+ *     depend on port message timing
  */
 
-import { createHannLUT, envAtFromLUT, equalPowerPan } from "./dsp/windows.js";
-import { createLimiter, processLimiter }              from "./dsp/limiter.js";
-import { nextIntervalFramesPoisson }                  from "./dsp/scheduler.js";
-
-import { FilterCutoffBank, uiToHz, uiToQ, uiToDrive } from "./dsp/filter-cutoff.js";
+import { WindowBank, envAtFromLUT, equalPowerPan } from "./dsp/windows.js";
+import { createLimiter, setLimiterOptions, processLimiter } from "./dsp/limiter.js";
+import { nextIntervalFrames }                      from "./dsp/scheduler.js";
+import { createRandom, seedRandom, deriveSeed, toSeed } from "./dsp/random.js";
+
+import { FilterCutoffBank, uiToHz, uiToQ, uiToDrive, computeEffectiveCutoff } from "./dsp/filter-cutoff.js";
+import { createClock, setClock, resetClock, advanceClock, stepsInBlock, STEP_LEVEL, DIVISIONS } from "./dsp/clock.js";
+import { scaleMaskFor, jitteredSemis } from "./dsp/pitch.js";
+import { ADSR_STAGE, createADSR, gateADSR, resetADSR, advanceADSR } from "./dsp/envelope.js";
+import { createLFO, resetLFO, advanceLFO, setLFOPhase, lfoValue } from "./dsp/lfo.js";
+import { VOICE_STEAL, MAX_VOICES, voiceLimit, pickVoiceToSteal } from "./dsp/voices.js";
+import { createScanState, advanceScan, scanBounds } from "./dsp/scan.js";
+import { createDelay, setDelayTargets, resetDelay, delayActive, processDelay } from "./dsp/delay.js";
+import { createReverb, setReverbTargets, reverbActive, processReverb } from "./dsp/reverb.js";
+import { createMasterEq, setMasterEqOptions, processMasterEq } from "./dsp/master-eq.js";
+import { createCompressor, setCompressorOptions, processCompressor } from "./dsp/compressor.js";
+import { INTERP, createInterpBudget, spawnInterp, releaseInterp, readInterp } from "./dsp/interp.js";
+import { GRAIN_STEAL, GRAIN_POOL_MAX, grainPoolSize, spawnBudget, pickGrainToSteal } from "./dsp/grain-pool.js";
+import { createLoadMonitor, setAdaptive, loadClock, blockEnd, adaptiveLimits, loadReadout } from "./dsp/dsp-load.js";
+import { createLoudnessMeter, resetLoudness, processLoudness, loudnessReadout } from "./dsp/loudness.js";
+import { MOD_SOURCES, MOD_SOURCE_COUNT, MOD_LFOS, normalizeMatrix, applyModSlots } from "./dsp/modmatrix.js";
 
 // Local utility functions
 const clamp   = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
 const clamp01 = (x) => Math.max(0, Math.min(1, x));
-const wrap01  = (x) => ((x % 1) + 1) % 1;
+
+// Per-cursor state is allocated for MAX_CURSORS; only the first `cursorCount` run
+const MAX_CURSORS = 8;
+const perCursor = (make) => Array.from({ length: MAX_CURSORS }, (_, i) => make(i));
 
 class GranularProcessorPro extends AudioWorkletProcessor {
   constructor(options) {
@@ -30,62 +64,112 @@ class GranularProcessorPro extends AudioWorkletProcessor {
     this.sampleRateOut = options?.processorOptions?.sampleRate || sampleRate;
     this.useSAB = !!options?.processorOptions?.useSAB;
 
+    // Offline render: { init: [messages], timeline: [{frame, msg}] sorted by frame }
+    const offline = options?.processorOptions?.offline || null;
+    this.offline = !!offline;
+    this._timeline = Array.isArray(offline?.timeline) ? offline.timeline : [];
+    this._timelinePos = 0;
+    this._frame = 0;   // frames rendered so far (timeline clock)
+
     // Source buffer: stereo-safe (array of channels)
     this.channels = null;
     this.channelCount = 0;
     this.bufferLength = 0;
     this.bufferSampleRate = this.sampleRateOut;
 
-    // Normalized positions for the three cursors
-    this.positions = new Float32Array([0.15, 0.50, 0.85]);
+    // Session cursor count (1..MAX_CURSORS)
+    this.cursorCount = clamp(options?.processorOptions?.cursorCount | 0 || 3, 1, MAX_CURSORS);
+
+    // Normalized cursor positions
+    this.positions = new Float32Array(MAX_CURSORS);
+    this.positions.set([0.15, 0.50, 0.85]);
+    this.scan = perCursor(() => createScanState()); // scan direction / one-shot end latch
+    this._bounds = { lo: 0, hi: 1 };                 // scratch for scanBounds()
 
     // Fallback parameters (if no SharedArrayBuffer)
-    this.paramsA = this._defaultParams();
-    this.paramsB = this._defaultParams();
-    this.paramsC = this._defaultParams();
+    this.params = perCursor(() => this._defaultParams());
 
     // SharedArrayBuffer for parameters (if available)
     this.paramSAB = null;
-    this.paramStride = 15; // default aggiornato: UI moderna usa 15 voci
+    this.paramStride = 66; // default aggiornato: UI moderna usa 66 voci
     this.paramView = null;
 
     // Independent schedulers per cursor
-    this.framesToNextGrainA = 0;
-    this.framesToNextGrainB = 0;
-    this.framesToNextGrainC = 0;
-
-    // Per-cursor LFO phase
-    this.lfoPhaseA = 0;
-    this.lfoPhaseB = 0;
-    this.lfoPhaseC = 0;
+    this.framesToNextGrain = new Float64Array(MAX_CURSORS);
+
+    // Seeded random streams per cursor (scheduler, grain scatter, one per LFO),
+    // all derived from the session seed: see _restartRandom()
+    this.seed = toSeed(options?.processorOptions?.seed ?? 1);
+    this.rngSched = perCursor(() => createRandom());
+    this.rngGrain = perCursor(() => createRandom());
+    this.rngLfo   = perCursor(() => Array.from({ length: 1 + MOD_LFOS }, () => createRandom()));
+
+    // Tempo clock (shared by all cursors; per-cursor division in params.syncDiv)
+    this.clock = createClock(this.sampleRateOut, { bpm: 120, swing: 0, beatsPerBar: 4, beatUnit: 4 });
+
+    // Per-cursor LFO (shape/sync/destinations in params; value refreshed once per block)
+    this.lfos   = perCursor((i) => createLFO(this.rngLfo[i][0].next));
+    this.lfoVal = new Float32Array(MAX_CURSORS);
+
+    // Modulation matrix (per cursor): routing, extra LFOs (LFO2/LFO3), source vectors
+    this.modMatrix = perCursor(() => normalizeMatrix());
+    this.modLfos   = perCursor((i) => Array.from({ length: MOD_LFOS }, (_, k) => createLFO(this.rngLfo[i][k + 1].next)));
+    this.modSrc    = perCursor(() => new Float32Array(MOD_SOURCE_COUNT));
+    this._grainParams = {};  // scratch copy for the per-grain random source
+    this._restartRandom();   // seed the streams above (they start identical)
+    this.kbVel      = new Float32Array(MAX_CURSORS).fill(1); // last note-on velocity per cursor (0..1)
+    this.modWheel   = 0;           // MIDI CC1 (0..1)
+    this.aftertouch = 0;           // MIDI pressure (0..1)
 
     // Loudness map (optional): { rms(Float32Array), win, sr, len }
     this.loudMap = null;
 
-    // Hann envelope lookup table
+    // Grain window lookup tables (Hann at index 0, other shapes built on demand)
     this.envTableSize = 1024;
-    this.envLUT = createHannLUT(this.envTableSize);
+    this.windows = new WindowBank(this.envTableSize, 16);
 
     // Grain pool (struct-of-arrays for cache efficiency)
+    // MAX_GRAINS caps the live grains (session setting); the arrays leave room
+    // for stolen grains still fading out on top of a full pool.
     this.MAX_GRAINS = 1024;
+    this.grainSteal = GRAIN_STEAL.FAIR;
+    const CAP = this.g_capacity = 2 * GRAIN_POOL_MAX;
     this.g_count = 0;
-    this.g_cursor = new Int8Array(this.MAX_GRAINS);
-    this.g_phase  = new Float64Array(this.MAX_GRAINS);
-    this.g_inc    = new Float32Array(this.MAX_GRAINS);
-    this.g_envPos = new Int32Array(this.MAX_GRAINS);
-    this.g_envLen = new Int32Array(this.MAX_GRAINS);
-    this.g_panL   = new Float32Array(this.MAX_GRAINS);
-    this.g_panR   = new Float32Array(this.MAX_GRAINS);
-    this.g_gainC  = new Float32Array(this.MAX_GRAINS); // per-grain loudness compensation
+    this.g_fading = 0;                           // grains fading out (not live)
+    this.g_liveBy = new Int32Array(MAX_CURSORS); // live grains per cursor
+    this.g_cursor = new Int8Array(CAP);
+    this.g_phase  = new Float64Array(CAP);
+    this.g_inc    = new Float32Array(CAP);
+    this.g_envPos = new Int32Array(CAP);
+    this.g_envLen = new Int32Array(CAP);
+    this.g_panL   = new Float32Array(CAP);
+    this.g_panR   = new Float32Array(CAP);
+    this.g_gainC  = new Float32Array(CAP); // per-grain loudness compensation
+    this.g_win    = new Int16Array(CAP);   // index into this.windows
+    this.g_interp = new Uint8Array(CAP);   // INTERP mode, fixed at spawn
+    this.g_flip   = new Int32Array(CAP);   // envPos where direction flips (-1 = never)
+    this.g_delay  = new Int32Array(CAP);   // start offset inside the spawn block (frames)
+    this.g_note   = new Int16Array(CAP);   // note slot driving the amp envelope (-1 = none)
+    this.g_fade   = new Float32Array(CAP); // fade-out gain (1 = not fading)
+    this.g_fadeStep = new Float32Array(CAP); // fade decrement per frame (0 = not fading)
+    this._grainLevel = (g) =>
+      envAtFromLUT(this.g_envPos[g], this.g_envLen[g], this.windows.lut(this.g_win[g])) * this.g_gainC[g] * this.g_fade[g];
 
     // Playback state
     this.playing = false;
 
+    // Source interpolation quality (session-wide INTERP mode) + stereo read scratch
+    this.interpQuality = INTERP.LINEAR;
+    this._interpBudget = createInterpBudget();   // cost of the live grains' modes
+    this._interpOut = new Float32Array(2);
+
     // Viz throttling (~30 FPS)
     this.vizCounter = 0;
     this.vizIntervalFrames = Math.max(1, Math.floor(this.sampleRateOut / 30));
 
-    // Post limiter
+    // Master chain: EQ -> glue compressor (bypassed by default) -> post limiter
+    this.masterEq   = createMasterEq(this.sampleRateOut);
+    this.compressor = createCompressor(this.sampleRateOut);
     this.limiter = createLimiter(this.sampleRateOut, {
       lookaheadMs: 3,
       ceiling: 0.98,
@@ -94,29 +178,63 @@ class GranularProcessorPro extends AudioWorkletProcessor {
       extra: 256
     });
 
-    // Stereo bus for A/B/C cursors (for per-cursor filtering)
-    this.busAL = new Float32Array(128); this.busAR = new Float32Array(128);
-    this.busBL = new Float32Array(128); this.busBR = new Float32Array(128);
-    this.busCL = new Float32Array(128); this.busCR = new Float32Array(128);
+    // Output loudness (momentary/short-term/integrated/LRA, sent with the telemetry)
+    this.loudness = createLoudnessMeter(this.sampleRateOut);
 
-    // Filter bank (one filter channel per cursor)
-    this.filters = new FilterCutoffBank(this.sampleRateOut, 3, /*tauMs*/25);
+    // Stereo bus per cursor (for per-cursor filtering)
+    this.buses = perCursor(() => ({ L: new Float32Array(128), R: new Float32Array(128) }));
+
+    // Per-cursor delay inserts (filter -> delay -> sum) + scratch for the filtered bus
+    this.delays = perCursor(() => createDelay(this.sampleRateOut));
+    this._fxBus = { L: new Float32Array(128), R: new Float32Array(128) };
+
+    // Master reverb (before the limiter), fed by the per-cursor sends
+    this.reverb = createReverb(this.sampleRateOut);
+    setReverbTargets(this.reverb, { size: 0.6, decay: 2.5, damp: 0.4, predelayMs: 20, width: 1, mix: 0.5 });
+    this._postBus = { L: new Float32Array(128), R: new Float32Array(128) };
+    this._sendBus = { L: new Float32Array(128), R: new Float32Array(128) };
+    this._sendLevel = new Float32Array(MAX_CURSORS);   // per-cursor send, ramped per block
 
-    // Polyphonic state: active notes per cursor (relative semitones)
-    this.kbNotes = [[], [], []];
-    this.kbRR    = [0, 0, 0];
+    // Filter bank (one filter channel per cursor)
+    this.filters = new FilterCutoffBank(this.sampleRateOut, MAX_CURSORS, /*tauMs*/25);
+
+    // Polyphonic state: one voice per note and cursor
+    // ({ semis, slot, env, level, age, ftn, released, stolen }, ftn = frames to next grain)
+    this.kbNotes = perCursor(() => []);
+    this.noteSerial = 0;
+    this.kbLast  = new Float32Array(MAX_CURSORS);   // last note-on per cursor (filter key tracking)
+
+    // Filter envelopes (gated by keyboard/MIDI notes)
+    this.filterEnv = perCursor(() => createADSR());
+    this._blockParams = this.params.slice(); // latest params (note-on voice policy)
+    this._blockMods   = this.params.slice(); // modulated params of the current block
+    this._blockGain   = new Float32Array(MAX_CURSORS).fill(NaN); // gain at the end of the block
+    this._blockGain0  = new Float32Array(MAX_CURSORS);           // ... and at its start
+
+    // Per-note amplitude envelopes: each note owns a slot whose level is advanced
+    // once per block; grains spawned by the note ramp from noteLvl0 to noteLvl1.
+    this.MAX_NOTE_SLOTS = MAX_CURSORS * MAX_VOICES + 32;   // + stolen voices still fading
+    this.noteFree = Array.from({ length: this.MAX_NOTE_SLOTS }, (_, i) => this.MAX_NOTE_SLOTS - 1 - i);
+    this.noteLvl0 = new Float32Array(this.MAX_NOTE_SLOTS);
+    this.noteLvl1 = new Float32Array(this.MAX_NOTE_SLOTS);
 
     // Per-cursor gain smoothing (prevents clicks when parameters change)
-    this._gainSmooth = [0.5, 0.5, 0.5];  // initialized on first block
-    this._gainTarget = [0.5, 0.5, 0.5];
+    this._gainSmooth = new Float32Array(MAX_CURSORS).fill(NaN);  // initialized on first block
+    this._gainTarget = new Float32Array(MAX_CURSORS).fill(0.5);
     this._gainTauMs  = 20;               // smoothing time constant (~20 ms)
 
     // Soft kill on request (for HOLD release to prevent abrupt cutoff)
-    this._killPending = [false, false, false];
+    this._killPending = perCursor(() => false);
+    this._hasGrains   = new Uint8Array(MAX_CURSORS);
     this._killTailMs  = 28; // forced tail duration to avoid harsh cuts
 
     // Scheduler backpressure/guardrail to prevent overload
     this._maxSpawnPerBlock = Math.max(24, Math.floor(32 * (this.sampleRateOut / 48000)));
+    this._droppedSpawns = 0;   // grains that were due but not spawned (cumulative)
+
+    // Render time vs block budget (telemetry) + adaptive quality limits
+    this.dspLoad = createLoadMonitor(this.sampleRateOut);
+    this._adapt = adaptiveLimits(this.dspLoad);
 
     // Handle messages from main thread
     this.port.onmessage = (e) => {
@@ -143,23 +261,33 @@ class GranularProcessorPro extends AudioWorkletProcessor {
         case "setLoudnessMap": {
           const m = d.map;
           if (m && m.rms) {
+            const rms = new Float32Array(m.rms);
+            let peak = 0;
+            for (let i = 0; i < rms.length; i++) if (rms[i] > peak) peak = rms[i];
             this.loudMap = {
-              rms: new Float32Array(m.rms),
-              win: m.win, sr: m.sr, len: m.len
+              rms,
+              win: m.win, sr: m.sr, len: m.len,
+              peak: Math.max(1e-4, peak)   // normalizes the LOUDNESS mod source
             };
           }
           break;
         }
         case "setParamsAll": {
-          if (d.paramsA) Object.assign(this.paramsA, d.paramsA);
-          if (d.paramsB) Object.assign(this.paramsB, d.paramsB);
-          if (d.paramsC) Object.assign(this.paramsC, d.paramsC);
+          // params[] (one entry per cursor); legacy paramsA/B/C still accepted
+          const list = Array.isArray(d.params) ? d.params : [d.paramsA, d.paramsB, d.paramsC];
+          for (let c = 0; c < MAX_CURSORS && c < list.length; c++) {
+            if (list[c]) Object.assign(this.params[c], list[c]);
+          }
           break;
         }
         case "setParamsFor": {
-          if (d.cursor === 0 && d.params) Object.assign(this.paramsA, d.params);
-          if (d.cursor === 1 && d.params) Object.assign(this.paramsB, d.params);
-          if (d.cursor === 2 && d.params) Object.assign(this.paramsC, d.params);
+          const c = (d.cursor|0);
+          // Inactive cursors keep their params too (they resume with them)
+          if (c >= 0 && c < MAX_CURSORS && d.params) Object.assign(this.params[c], d.params);
+          break;
+        }
+        case "setCursorCount": {
+          this._setCursorCount(d.count);
           break;
         }
         case "setParamSAB": {
@@ -172,18 +300,80 @@ class GranularProcessorPro extends AudioWorkletProcessor {
         }
         case "setPositions": {
           if (Array.isArray(d.positions)) {
-            if (d.positions.length >= 2) {
-              this.positions[0] = clamp01(d.positions[0]);
-              this.positions[1] = clamp01(d.positions[1]);
-            }
-            if (d.positions.length >= 3) {
-              this.positions[2] = clamp01(d.positions[2]);
-            }
+            const n = Math.min(MAX_CURSORS, d.positions.length);
+            for (let c = 0; c < n; c++) this.positions[c] = clamp01(d.positions[c]);
           }
           break;
         }
         case "setPlaying": {
-          this.playing = !!d.value;
+          const next = !!d.value;
+          if (next && !this.playing) {
+            resetClock(this.clock);  // groove restarts at bar 1
+            this._restartRandom();   // and the random streams from the seed
+          }
+          this.playing = next;
+          break;
+        }
+        case "setSeed": {
+          this.seed = toSeed(d.seed);
+          this._restartRandom();
+          break;
+        }
+        case "setClock": {
+          setClock(this.clock, d);
+          break;
+        }
+        case "resetClock": {
+          resetClock(this.clock);
+          break;
+        }
+        case "setReverb": {
+          setReverbTargets(this.reverb, d);
+          break;
+        }
+        // ---------- MASTER ----------
+        case "setMasterEq": {
+          setMasterEqOptions(this.masterEq, d);
+          break;
+        }
+        case "setCompressor": {
+          setCompressorOptions(this.compressor, d);
+          break;
+        }
+        case "setLimiter": {
+          setLimiterOptions(this.limiter, d);
+          break;
+        }
+        case "setGrainPool": {
+          if (d.size != null) {
+            this.MAX_GRAINS = grainPoolSize(d.size);
+            // A smaller pool fades the excess out right away
+            while (this.g_count - this.g_fading > this.MAX_GRAINS && this._stealGrain()) {}
+          }
+          if (d.steal != null) this.grainSteal = clamp(d.steal | 0, GRAIN_STEAL.OLDEST, GRAIN_STEAL.FAIR);
+          break;
+        }
+        case "setAdaptiveQuality": {
+          setAdaptive(this.dspLoad, d.enabled);
+          break;
+        }
+        case "setInterpQuality": {
+          this.interpQuality = clamp((d.mode | 0), INTERP.LINEAR, INTERP.SINC);
+          break;
+        }
+        case "resetLoudness": {
+          resetLoudness(this.loudness);
+          break;
+        }
+        // ---------- MODULATION ----------
+        case "setModMatrix": {
+          const c = (d.cursor|0);
+          if (c >= 0 && c < MAX_CURSORS) this.modMatrix[c] = normalizeMatrix(d.matrix || {});
+          break;
+        }
+        case "setModController": {
+          if (Number.isFinite(d.modWheel))   this.modWheel   = clamp01(d.modWheel);
+          if (Number.isFinite(d.aftertouch)) this.aftertouch = clamp01(d.aftertouch);
           break;
         }
         // ---------- POLY ----------
@@ -193,7 +383,10 @@ class GranularProcessorPro extends AudioWorkletProcessor {
         case "keyNoteOn": {
           const c = (d.cursor|0);
           const s = Number(d.semis);
-          if (c >= 0 && c <= 2 && Number.isFinite(s)) this._addKbNote(c, Math.round(s));
+          if (this._validCursor(c) && Number.isFinite(s)) {
+            this.kbVel[c] = Number.isFinite(d.velocity) ? clamp01(d.velocity) : 1;
+            this._addKbNote(c, Math.round(s));
+          }
           break;
         }
         case "noteOff":
@@ -202,14 +395,15 @@ class GranularProcessorPro extends AudioWorkletProcessor {
         case "keyNoteOff": {
           const c = (d.cursor|0);
           const s = Number(d.semis);
-          if (c >= 0 && c <= 2 && Number.isFinite(s)) this._removeKbNote(c, Math.round(s));
+          if (this._validCursor(c) && Number.isFinite(s)) this._removeKbNote(c, Math.round(s));
           break;
         }
         case "noteOnAll": {
           const s = Number(d.semis);
           if (Number.isFinite(s)) {
             const ss = Math.round(s);
-            this._addKbNote(0, ss); this._addKbNote(1, ss); this._addKbNote(2, ss);
+            const vel = Number.isFinite(d.velocity) ? clamp01(d.velocity) : 1;
+            for (let c = 0; c < this.cursorCount; c++) { this.kbVel[c] = vel; this._addKbNote(c, ss); }
           }
           break;
         }
@@ -217,28 +411,41 @@ class GranularProcessorPro extends AudioWorkletProcessor {
           const s = Number(d.semis);
           if (Number.isFinite(s)) {
             const ss = Math.round(s);
-            this._removeKbNote(0, ss); this._removeKbNote(1, ss); this._removeKbNote(2, ss);
+            for (let c = 0; c < this.cursorCount; c++) this._removeKbNote(c, ss);
           }
           break;
         }
         // Clear latched notes for cursor
         case "clearKbNotes": {
           const c = (d.cursor|0);
-          if (c >= 0 && c <= 2) this._clearKbNotes(c);
+          if (this._validCursor(c)) this._clearKbNotes(c);
           break;
         }
         // Soft kill grains for cursor (avoids abrupt cutoff)
         case "killCursorGrains": {
           const c = (d.cursor|0);
-          if (c >= -1 && c <= 2) {
-            if (c === -1) {
-              this._killPending = [true,true,true];
-            } else {
-              this._killPending[c] = true;
-            }
+          if (c === -1) {
+            this._killPending.fill(true);
+          } else if (this._validCursor(c)) {
+            this._killPending[c] = true;
           }
           break;
         }
+        // Cancelled offline render: drop the rest of the timeline, notes, grains and
+        // delay tails so the remaining blocks take the silent path
+        case "abortRender": {
+          this._timelinePos = this._timeline.length;
+          this.playing = false;
+          for (let c = 0; c < MAX_CURSORS; c++) {
+            const arr = this.kbNotes[c];
+            for (let k = arr.length - 1; k >= 0; k--) this._dropKbNote(c, k);
+            gateADSR(this.filterEnv[c], false);
+            resetDelay(this.delays[c]);
+            this._killPending[c] = false;
+          }
+          while (this.g_count > 0) this._killGrainSwap(this.g_count - 1);
+          break;
+        }
         // Handshake
         case "ping": {
           this.port.postMessage({ type: "ready" });
@@ -246,6 +453,11 @@ class GranularProcessorPro extends AudioWorkletProcessor {
         }
       }
     };
+
+    // Offline starting state goes through the same handler as live messages
+    if (offline && Array.isArray(offline.init)) {
+      for (const m of offline.init) this.port.onmessage({ data: m });
+    }
   }
 
   // Parameter helpers
@@ -257,12 +469,99 @@ class GranularProcessorPro extends AudioWorkletProcessor {
       // UI-normalized aggiuntivi
       qNorm: 0.2,
       driveNorm: 0.0,
-      slopeSel: 0
+      slopeSel: 0,
+      // Grain window
+      winShape: 0,
+      winAmount: 0.5,
+      // Grain direction
+      reverseProb: 0.0,
+      pingPong: 0,
+      // Scheduler
+      schedMode: 0,
+      schedJitter: 0.2,
+      // Tempo sync (syncDiv 0 = free-running)
+      syncDiv: 0,
+      stepProb: 1.0,
+      accent: 0.0,
+      // Pitch jitter (semitones) + scale quantization (pitchScale 0 = off)
+      pitchJitter: 0.0,
+      pitchScale: 0,
+      scaleRoot: 0,
+      scaleMask: 0xFFF,
+      // Per-grain stereo scatter (0..1) and level jitter (dB)
+      panScatter: 0.0,
+      ampJitter: 0.0,
+      // Filter mode (FILTER_TYPES) + peak gain (dB)
+      filterType: 0,
+      peakGainDb: 0.0,
+      // Filter envelope (seconds / sustain 0..1 / amount in octaves) + key tracking 0..1
+      fEnvAttack: 0.01,
+      fEnvDecay: 0.30,
+      fEnvSustain: 0.0,
+      fEnvRelease: 0.30,
+      fEnvAmount: 0.0,
+      keyTrack: 0.0,
+      // LFO shape + tempo sync (DIVISIONS index, 0 = free Hz) + per-destination depth
+      lfoShape: 0,
+      lfoSync: 0,
+      lfoToPos: 0.0,      // fraction of buffer
+      lfoToPitch: 0.0,    // semitones
+      lfoToPan: 0.0,
+      lfoToDensity: 0.0,  // relative (1 = ±100%)
+      lfoToSize: 0.0,
+      lfoToSpread: 0.0,
+      lfoToGain: 0.0,
+      // Per-note amplitude envelope (seconds / sustain 0..1)
+      ampAttack: 0.005,
+      ampDecay: 0.10,
+      ampSustain: 1.0,
+      ampRelease: 0.30,
+      // Voice allocation: max simultaneous notes + stealing policy (VOICE_STEAL)
+      voiceCount: 8,
+      voiceSteal: 0,
+      // Read-head scanning (SCAN_MODE) + loop in/out points (normalized)
+      scanMode: 0,
+      loopStart: 0.0,
+      loopEnd: 1.0,
+      // Region: the in/out points also confine scan, spread and position modulation
+      regionOn: 0,
+      // Delay insert: time (ms, or DIVISIONS index when synced), feedback, damping, mix
+      delayTime: 350,
+      delaySync: 0,
+      delayFeedback: 0.35,
+      delayDamp: 0.3,
+      delayPingPong: 0,
+      delayMix: 0.0,
+      // Master reverb send (post delay)
+      reverbSend: 0.0,
+      // Filter drive: DRIVE_CURVES index, oversampling factor (1/2/4)
+      driveCurve: 0,
+      driveOversample: 2
     };
   }
 
+  _validCursor(c) { return c >= 0 && c < this.cursorCount; }
+
+  // Shrinking drops the removed cursors' notes and grains at once
+  _setCursorCount(count) {
+    const n = clamp(Math.round(Number(count) || 0), 1, MAX_CURSORS);
+    for (let c = n; c < this.cursorCount; c++) {
+      const arr = this.kbNotes[c];
+      for (let k = arr.length - 1; k >= 0; k--) this._dropKbNote(c, k);
+      resetADSR(this.filterEnv[c]);
+      resetDelay(this.delays[c]);
+      this._sendLevel[c] = 0;
+      for (let g = this.g_count - 1; g >= 0; g--) {
+        if (this.g_cursor[g] === c) this._killGrainSwap(g);
+      }
+      this._killPending[c] = false;
+    }
+    this.cursorCount = n;
+  }
+
   _readParams() {
-    if (!this.paramView) return [this.paramsA, this.paramsB, this.paramsC];
+    const n = this.cursorCount;
+    if (!this.paramView) return this.params.slice(0, n);
 
     const S = this.paramStride | 0;
     const v = this.paramView;
@@ -296,80 +595,348 @@ class GranularProcessorPro extends AudioWorkletProcessor {
         p.driveNorm = (fallback.driveNorm ?? 0.0);
         p.slopeSel  = (fallback.slopeSel  ?? 0);
       }
+      if (S >= 17) {
+        p.winShape  = get(15, fallback.winShape);
+        p.winAmount = get(16, fallback.winAmount);
+      } else {
+        p.winShape  = (fallback.winShape  ?? 0);
+        p.winAmount = (fallback.winAmount ?? 0.5);
+      }
+      if (S >= 19) {
+        p.reverseProb = get(17, fallback.reverseProb);
+        p.pingPong    = get(18, fallback.pingPong);
+      } else {
+        p.reverseProb = (fallback.reverseProb ?? 0);
+        p.pingPong    = (fallback.pingPong    ?? 0);
+      }
+      if (S >= 21) {
+        p.schedMode   = get(19, fallback.schedMode);
+        p.schedJitter = get(20, fallback.schedJitter);
+      } else {
+        p.schedMode   = (fallback.schedMode   ?? 0);
+        p.schedJitter = (fallback.schedJitter ?? 0.2);
+      }
+      if (S >= 24) {
+        p.syncDiv  = get(21, fallback.syncDiv);
+        p.stepProb = get(22, fallback.stepProb);
+        p.accent   = get(23, fallback.accent);
+      } else {
+        p.syncDiv  = (fallback.syncDiv  ?? 0);
+        p.stepProb = (fallback.stepProb ?? 1);
+        p.accent   = (fallback.accent   ?? 0);
+      }
+      if (S >= 28) {
+        p.pitchJitter = get(24, fallback.pitchJitter);
+        p.pitchScale  = get(25, fallback.pitchScale);
+        p.scaleRoot   = get(26, fallback.scaleRoot);
+        p.scaleMask   = get(27, fallback.scaleMask);
+      } else {
+        p.pitchJitter = (fallback.pitchJitter ?? 0);
+        p.pitchScale  = (fallback.pitchScale  ?? 0);
+        p.scaleRoot   = (fallback.scaleRoot   ?? 0);
+        p.scaleMask   = (fallback.scaleMask   ?? 0xFFF);
+      }
+      if (S >= 30) {
+        p.panScatter = get(28, fallback.panScatter);
+        p.ampJitter  = get(29, fallback.ampJitter);
+      } else {
+        p.panScatter = (fallback.panScatter ?? 0);
+        p.ampJitter  = (fallback.ampJitter  ?? 0);
+      }
+      if (S >= 32) {
+        p.filterType = get(30, fallback.filterType);
+        p.peakGainDb = get(31, fallback.peakGainDb);
+      } else {
+        p.filterType = (fallback.filterType ?? 0);
+        p.peakGainDb = (fallback.peakGainDb ?? 0);
+      }
+      if (S >= 38) {
+        p.fEnvAttack  = get(32, fallback.fEnvAttack);
+        p.fEnvDecay   = get(33, fallback.fEnvDecay);
+        p.fEnvSustain = get(34, fallback.fEnvSustain);
+        p.fEnvRelease = get(35, fallback.fEnvRelease);
+        p.fEnvAmount  = get(36, fallback.fEnvAmount);
+        p.keyTrack    = get(37, fallback.keyTrack);
+      } else {
+        p.fEnvAttack  = (fallback.fEnvAttack  ?? 0.01);
+        p.fEnvDecay   = (fallback.fEnvDecay   ?? 0.30);
+        p.fEnvSustain = (fallback.fEnvSustain ?? 0);
+        p.fEnvRelease = (fallback.fEnvRelease ?? 0.30);
+        p.fEnvAmount  = (fallback.fEnvAmount  ?? 0);
+        p.keyTrack    = (fallback.keyTrack    ?? 0);
+      }
+      if (S >= 47) {
+        p.lfoShape     = get(38, fallback.lfoShape);
+        p.lfoSync      = get(39, fallback.lfoSync);
+        p.lfoToPos     = get(40, fallback.lfoToPos);
+        p.lfoToPitch   = get(41, fallback.lfoToPitch);
+        p.lfoToPan     = get(42, fallback.lfoToPan);
+        p.lfoToDensity = get(43, fallback.lfoToDensity);
+        p.lfoToSize    = get(44, fallback.lfoToSize);
+        p.lfoToSpread  = get(45, fallback.lfoToSpread);
+        p.lfoToGain    = get(46, fallback.lfoToGain);
+      } else {
+        p.lfoShape     = (fallback.lfoShape     ?? 0);
+        p.lfoSync      = (fallback.lfoSync      ?? 0);
+        p.lfoToPos     = (fallback.lfoToPos     ?? 0);
+        p.lfoToPitch   = (fallback.lfoToPitch   ?? 0);
+        p.lfoToPan     = (fallback.lfoToPan     ?? 0);
+        p.lfoToDensity = (fallback.lfoToDensity ?? 0);
+        p.lfoToSize    = (fallback.lfoToSize    ?? 0);
+        p.lfoToSpread  = (fallback.lfoToSpread  ?? 0);
+        p.lfoToGain    = (fallback.lfoToGain    ?? 0);
+      }
+      if (S >= 51) {
+        p.ampAttack  = get(47, fallback.ampAttack);
+        p.ampDecay   = get(48, fallback.ampDecay);
+        p.ampSustain = get(49, fallback.ampSustain);
+        p.ampRelease = get(50, fallback.ampRelease);
+      } else {
+        p.ampAttack  = (fallback.ampAttack  ?? 0.005);
+        p.ampDecay   = (fallback.ampDecay   ?? 0.10);
+        p.ampSustain = (fallback.ampSustain ?? 1);
+        p.ampRelease = (fallback.ampRelease ?? 0.30);
+      }
+      if (S >= 53) {
+        p.voiceCount = get(51, fallback.voiceCount);
+        p.voiceSteal = get(52, fallback.voiceSteal);
+      } else {
+        p.voiceCount = (fallback.voiceCount ?? 8);
+        p.voiceSteal = (fallback.voiceSteal ?? 0);
+      }
+      if (S >= 56) {
+        p.scanMode  = get(53, fallback.scanMode);
+        p.loopStart = get(54, fallback.loopStart);
+        p.loopEnd   = get(55, fallback.loopEnd);
+      } else {
+        p.scanMode  = (fallback.scanMode  ?? 0);
+        p.loopStart = (fallback.loopStart ?? 0);
+        p.loopEnd   = (fallback.loopEnd   ?? 1);
+      }
+      if (S >= 57) {
+        p.regionOn = get(56, fallback.regionOn);
+      } else {
+        p.regionOn = (fallback.regionOn ?? 0);
+      }
+      if (S >= 63) {
+        p.delayTime     = get(57, fallback.delayTime);
+        p.delaySync     = get(58, fallback.delaySync);
+        p.delayFeedback = get(59, fallback.delayFeedback);
+        p.delayDamp     = get(60, fallback.delayDamp);
+        p.delayPingPong = get(61, fallback.delayPingPong);
+        p.delayMix      = get(62, fallback.delayMix);
+      } else {
+        p.delayTime     = (fallback.delayTime     ?? 350);
+        p.delaySync     = (fallback.delaySync     ?? 0);
+        p.delayFeedback = (fallback.delayFeedback ?? 0.35);
+        p.delayDamp     = (fallback.delayDamp     ?? 0.3);
+        p.delayPingPong = (fallback.delayPingPong ?? 0);
+        p.delayMix      = (fallback.delayMix      ?? 0);
+      }
+      if (S >= 64) {
+        p.reverbSend = get(63, fallback.reverbSend);
+      } else {
+        p.reverbSend = (fallback.reverbSend ?? 0);
+      }
+      if (S >= 66) {
+        p.driveCurve      = get(64, fallback.driveCurve);
+        p.driveOversample = get(65, fallback.driveOversample);
+      } else {
+        p.driveCurve      = (fallback.driveCurve      ?? 0);
+        p.driveOversample = (fallback.driveOversample ?? 2);
+      }
       return p;
     };
 
-    const a = readOne(0*S, this.paramsA);
-    const b = readOne(1*S, this.paramsB);
-    const c = readOne(2*S, this.paramsC);
-    return [a, b, c];
+    // Cursors beyond the end of the shared buffer keep their message-fed params
+    const out = new Array(n);
+    for (let c = 0; c < n; c++) {
+      out[c] = ((c + 1) * S <= v.length) ? readOne(c * S, this.params[c]) : this.params[c];
+    }
+    return out;
   }
 
   // Polyphonic helpers
+  // Every note is a voice with its own grain timer and amp envelope. A held note
+  // with the same pitch is retriggered; a releasing one only with SAME_NOTE stealing.
+  // When the cursor is out of voices one is stolen (fast fade) to make room.
   _addKbNote(cursor, semis) {
     const arr = this.kbNotes[cursor];
-    for (let i = 0; i < arr.length; i++) if (arr[i] === semis) return;
-    arr.push(semis);
-    if (this.kbRR[cursor] > 1e9) this.kbRR[cursor] = this.kbRR[cursor] % Math.max(1, arr.length);
+    const p = this._blockParams[cursor] ?? this.params[cursor];   // cursor added since the last block
+    const policy = p.voiceSteal | 0;
+    let note = null;
+    for (let i = 0; i < arr.length; i++) {
+      const n = arr[i];
+      if (n.semis === semis && !n.stolen && (!n.released || policy === VOICE_STEAL.SAME_NOTE)) { note = n; break; }
+    }
+    if (!note) {
+      const limit = voiceLimit(p.voiceCount);
+      while (this._activeVoices(cursor) >= limit) {
+        const k = pickVoiceToSteal(arr, policy);
+        if (k < 0) break;
+        this._stealKbNote(arr[k]);
+      }
+      const slot = this.noteFree.pop();
+      if (slot === undefined) return; // every note slot busy
+      this.noteLvl0[slot] = this.noteLvl1[slot] = 0;
+      note = { semis, slot, env: createADSR(), level: 0, age: 0, ftn: 1, released: false, stolen: false };
+      arr.push(note);
+    }
+    note.age = ++this.noteSerial;
+    note.released = false;
+    gateADSR(note.env, true);
+    this.kbLast[cursor] = semis;
+    gateADSR(this.filterEnv[cursor], true);
+  }
+  _releaseKbNote(note) {
+    if (note.released) return;
+    note.released = true;
+    gateADSR(note.env, false);
+  }
+  // Stolen voices stop spawning and fade over the soft-kill tail
+  _stealKbNote(note) {
+    this._releaseKbNote(note);
+    note.stolen = true;
+  }
+  _activeVoices(cursor) {
+    const arr = this.kbNotes[cursor];
+    let n = 0;
+    for (let i = 0; i < arr.length; i++) if (!arr[i].stolen) n++;
+    return n;
   }
   _removeKbNote(cursor, semis) {
     const arr = this.kbNotes[cursor];
-    const i = arr.indexOf(semis);
-    if (i >= 0) arr.splice(i, 1);
-    if (arr.length === 0) this.kbRR[cursor] = 0;
-    else this.kbRR[cursor] = this.kbRR[cursor] % arr.length;
+    for (let i = 0; i < arr.length; i++) {
+      if (arr[i].semis === semis && !arr[i].released) { this._releaseKbNote(arr[i]); break; }
+    }
+    if (!this._cursorHasHeldKb(cursor)) gateADSR(this.filterEnv[cursor], false);
   }
   _clearKbNotes(cursor) {
     const arr = this.kbNotes[cursor];
     if (!arr) return;
-    arr.length = 0;
-    this.kbRR[cursor] = 0;
+    for (let i = 0; i < arr.length; i++) this._releaseKbNote(arr[i]);
+    gateADSR(this.filterEnv[cursor], false);
+  }
+  // Drop a finished note: free its slot and its (already silent) grains
+  _dropKbNote(cursor, index) {
+    const arr = this.kbNotes[cursor];
+    const slot = arr[index].slot;
+    arr.splice(index, 1);
+    this.noteFree.push(slot);
+    for (let g = this.g_count - 1; g >= 0; g--) {
+      if (this.g_note[g] === slot) this._killGrainSwap(g);
+    }
   }
-  _nextKbSemis(cursor) {
+  // Block-rate amp envelope update (the render loop ramps between the two levels)
+  _updateNoteEnvs(cursor, p, dt) {
     const arr = this.kbNotes[cursor];
-    const n = arr.length;
-    if (n === 0) return null;
-    const idx = this.kbRR[cursor] % n;
-    this.kbRR[cursor] = (this.kbRR[cursor] + 1) % (n === 0 ? 1 : n);
-    return arr[idx];
+    if (arr.length === 0) return;
+    const ep = { attack: p.ampAttack, decay: p.ampDecay, sustain: p.ampSustain, release: p.ampRelease };
+    const steal = { ...ep, release: this._killTailMs / 1000 };
+    for (let i = 0; i < arr.length; i++) {
+      const n = arr[i];
+      this.noteLvl0[n.slot] = this.noteLvl1[n.slot];
+      this.noteLvl1[n.slot] = n.level = advanceADSR(n.env, n.stolen ? steal : ep, dt);
+    }
+  }
+  _reapKbNotes(cursor) {
+    const arr = this.kbNotes[cursor];
+    for (let i = arr.length - 1; i >= 0; i--) {
+      if (arr[i].env.stage === ADSR_STAGE.IDLE) this._dropKbNote(cursor, i);
+    }
+  }
+  _cursorHasHeldKb(i) {
+    const arr = this.kbNotes[i];
+    for (let k = 0; k < arr.length; k++) if (!arr[k].released) return true;
+    return false;
+  }
+  _hasKbNotesAny() {
+    for (let c = 0; c < this.cursorCount; c++) if (this.kbNotes[c].length > 0) return true;
+    return false;
   }
-  _hasKbNotesAny() { return (this.kbNotes[0].length + this.kbNotes[1].length + this.kbNotes[2].length) > 0; }
   _cursorHasKb(i) { return this.kbNotes[i]?.length > 0; }
 
   // DSP helpers
-  _advancePositions(frames, pA, pB, pC) {
+  _advancePositions(frames, P) {
     const dt = frames / this.sampleRateOut;
-    let A = this.positions[0] + (pA.scanSpeed || 0) * dt;
-    let B = this.positions[1] + (pB.scanSpeed || 0) * dt;
-    let C = this.positions[2] + (pC.scanSpeed || 0) * dt;
-    this.positions[0] = wrap01(A);
-    this.positions[1] = wrap01(B);
-    this.positions[2] = wrap01(C);
+    for (let c = 0; c < P.length; c++) {
+      const p = P[c], s = this.scan[c];
+      const { lo, hi } = scanBounds(p, this._bounds);
+      this.positions[c] = advanceScan(this.positions[c], (p.scanSpeed || 0) * dt, p.scanMode, s, lo, hi);
+      // One-shot scan reached its edge: tell the UI once
+      if (s.hitEnd && !this.offline) this.port.postMessage({ type: "scanEnd", cursor: c });
+    }
+  }
+
+  // Delay time in seconds: note division of the tempo clock, or free milliseconds
+  _delaySeconds(p) {
+    const div = DIVISIONS[p.delaySync | 0];
+    if (div && div.q > 0) return div.q * 60 / this.clock.bpm;
+    return (p.delayTime || 0) / 1000;
+  }
+
+  // Delay echoes or reverb tail still sounding (keeps the engine running after the grains stop)
+  _fxTails(n) {
+    for (let c = 0; c < n; c++) if (delayActive(this.delays[c])) return true;
+    return reverbActive(this.reverb);
+  }
+
+  // Advance the cursor LFO (free Hz or locked to the tempo clock) and cache its value
+  _updateLfo(i, p, dt) {
+    const s = this.lfos[i];
+    const div = DIVISIONS[p.lfoSync | 0];
+    if (div && div.q > 0) setLFOPhase(s, this.clock.posQ / div.q);
+    else advanceLFO(s, p.lfoFreq, dt);
+    return (this.lfoVal[i] = lfoValue(s, p.lfoShape));
+  }
+
+  // Copy of the cursor params with the LFO applied to its routed destinations
+  _applyLfo(p, v) {
+    if (!(p.lfoToPos || p.lfoToPitch || p.lfoToPan || p.lfoToDensity || p.lfoToSize || p.lfoToSpread)) return p;
+    const m = { ...p };
+    if (p.lfoToPos)     m.posOffset = v * p.lfoToPos;
+    if (p.lfoToPitch)   m.pitch     = Math.max(0.01, (p.pitch || 1) * Math.pow(2, v * p.lfoToPitch / 12));
+    if (p.lfoToPan)     m.pan       = clamp((p.pan || 0) + v * p.lfoToPan, -1, 1);
+    if (p.lfoToDensity) m.density   = Math.max(0, (p.density || 0) * (1 + v * p.lfoToDensity));
+    if (p.lfoToSize)    m.grainSize = Math.max(0.01, (p.grainSize || 1) * (1 + v * p.lfoToSize));
+    if (p.lfoToSpread)  m.spread    = Math.max(0, (p.spread || 0) * (1 + v * p.lfoToSpread));
+    return m;
+  }
+
+  // Source loudness at a normalized buffer position (0..1, relative to the loudest window)
+  _loudnessNormAt(pos01) {
+    const m = this.loudMap;
+    if (!m || !m.rms || m.rms.length === 0) return 0;
+    return clamp01(this._loudnessAtIndex(pos01 * this.bufferLength) / (m.peak || 1));
+  }
+
+  // Evaluate block-rate mod sources and apply the cursor matrix (copy when routed)
+  _applyMods(i, p, lfo1, dt) {
+    const mx = this.modMatrix[i];
+    if (mx.slots.length === 0) return p;
+    const src = this.modSrc[i];
+    src[MOD_SOURCES.LFO1] = lfo1;
+    for (let k = 0; k < MOD_LFOS; k++) {
+      const cfg = mx.lfos[k], s = this.modLfos[i][k];
+      const div = DIVISIONS[cfg.sync];
+      if (div && div.q > 0) setLFOPhase(s, this.clock.posQ / div.q);
+      else advanceLFO(s, cfg.hz, dt);
+      src[MOD_SOURCES.LFO2 + k] = lfoValue(s, cfg.shape);
+    }
+    src[MOD_SOURCES.VELOCITY]   = this.kbVel[i];
+    src[MOD_SOURCES.FILTER_ENV] = this.filterEnv[i].value;
+    src[MOD_SOURCES.MOD_WHEEL]  = this.modWheel;
+    src[MOD_SOURCES.AFTERTOUCH] = this.aftertouch;
+    src[MOD_SOURCES.LOUDNESS]   = this._loudnessNormAt(this.positions[i]);
+    return applyModSlots(p, mx.slots, src);
   }
+
   _overlaps(params) {
     const S = (params.grainSize || 1);
     const dur = Math.max(0.002, ((params.attack || 0) + (params.release || 0)) * S);
     return Math.max(1, (params.density || 1) * dur);
   }
 
-  // Per-channel interpolation with wrapping on buffer length
-  _interpCh(ch, x) {
-    const buf = (this.channels && this.channels[ch]) || (this.channels && this.channels[0]);
-    const len = this.bufferLength | 0;
-    if (!buf || len <= 0) return 0;
-    let i0 = x | 0;
-    let frac = x - i0;
-    if (i0 >= len) {
-      i0 -= len * ((i0 / len) | 0);
-    } else if (i0 < 0) {
-      i0 += len * (((-i0) / len + 1) | 0);
-    }
-    let i1 = i0 + 1; if (i1 >= len) i1 = 0;
-    const s0 = buf[i0];
-    const s1 = buf[i1];
-    return s0 + (s1 - s0) * frac;
-  }
-
   _loudnessAtIndex(sampleIndex) {
     const m = this.loudMap;
     if (!m || !m.rms || m.rms.length === 0) return 1;
@@ -377,33 +944,98 @@ class GranularProcessorPro extends AudioWorkletProcessor {
     return Math.max(1e-4, m.rms[b]); // floor to avoid extreme compression
   }
 
-  _spawnGrain(cursorIndex, params) {
+  // Restart every random stream from this.seed together with the state it
+  // drives (grain timers, LFO phases and random targets): from here on the same
+  // messages and sample give the same audio, bit for bit (unless adaptive
+  // quality changes a level, which depends on the machine load)
+  _restartRandom() {
+    const perStream = 3 + MOD_LFOS;
+    for (let c = 0; c < MAX_CURSORS; c++) {
+      const base = c * perStream;
+      seedRandom(this.rngSched[c], deriveSeed(this.seed, base));
+      seedRandom(this.rngGrain[c], deriveSeed(this.seed, base + 1));
+      for (let k = 0; k <= MOD_LFOS; k++) seedRandom(this.rngLfo[c][k], deriveSeed(this.seed, base + 2 + k));
+      resetLFO(this.lfos[c]);
+      for (const l of this.modLfos[c]) resetLFO(l);
+      // held voices restart their grain timers too (kbNotes is created after the first call)
+      if (this.kbNotes) for (const n of this.kbNotes[c]) n.ftn = 1;
+    }
+    this.framesToNextGrain.fill(0);
+  }
+
+  // offsetFrames: sample offset inside the current block where the grain starts
+  // gainMul: extra per-grain gain (e.g. tempo-step accent)
+  // note: voice that owns the grain (pitch + amp envelope), null for transport grains
+  _spawnGrain(cursorIndex, params, offsetFrames = 0, gainMul = 1, note = null) {
     if (!this.playing && !this._cursorHasKb(cursorIndex)) return;
     if (!this.channels || this.bufferLength === 0) return;
-    if (this.g_count >= this.MAX_GRAINS) return;
+    // Pool full: steal a live grain (it fades over the soft-kill tail);
+    // only if every slot holds a fading tail is the new grain dropped
+    if (this.g_count - this.g_fading >= this.MAX_GRAINS) this._stealGrain();
+    if (this.g_count >= this.g_capacity) { this._droppedSpawns++; return; }
+
+    const rand = this.rngGrain[cursorIndex].next;
+
+    // Per-grain random mod source (block-rate sources are already applied)
+    const mx = this.modMatrix[cursorIndex];
+    if (mx.hasRandom) {
+      const src = this.modSrc[cursorIndex];
+      src[MOD_SOURCES.RANDOM] = rand() * 2 - 1;
+      params = applyModSlots(params, mx.slots, src, MOD_SOURCES.RANDOM, this._grainParams);
+    }
 
-    const S = (params.grainSize || 1);
+    const S = (params.grainSize || 1) * this._adapt.sizeMul;
     const durSec = Math.max(0.002, ((params.attack || 0) + (params.release || 0)) * S);
     const envFrames = Math.max(1, Math.floor(durSec * this.sampleRateOut));
 
+    // Grain start: cursor + position modulation (wrapped) + spread (clamped),
+    // all kept inside the cursor region when it is enabled
     const bufDurSec = this.bufferLength / this.bufferSampleRate;
-    const baseSec = this.positions[cursorIndex] * bufDurSec;
+    let lo = 0, hi = 1;
+    if (params.regionOn) ({ lo, hi } = scanBounds(params, this._bounds));
+    const len = hi - lo;
+    const posNorm = this.positions[cursorIndex] + (params.posOffset || 0);
+    const baseSec = (len > 1e-6 ? lo + ((((posNorm - lo) % len) + len) % len) : lo) * bufDurSec;
     const spr = Math.max(0, params.spread || 0);
-    const offsetSec = spr > 0 ? (Math.random() * 2 - 1) * spr : 0;
+    const offsetSec = spr > 0 ? (rand() * 2 - 1) * spr : 0;
+    const loSec = lo * bufDurSec, hiSec = hi * bufDurSec;
     let startSec = baseSec + offsetSec;
-    if (startSec < 0) startSec = 0;
-    if (startSec > bufDurSec - durSec) startSec = Math.max(0, bufDurSec - durSec);
+    if (startSec > hiSec - durSec) startSec = hiSec - durSec;
+    if (startSec < loSec) startSec = loSec;
     const startIndex = startSec * this.bufferSampleRate;
 
     // Effective pitch calculation
+    // Per-grain jitter is added to the played note (0 = sample root, i.e. C) and,
+    // when a scale is selected, snapped to the nearest degree so every grain stays in key.
     const baseRate = Math.max(0.01, params.pitch || 1);
-    const semis = this._nextKbSemis(cursorIndex);
-    const noteMult = (semis == null) ? 1 : Math.pow(2, semis / 12);
+    const semis = note ? note.semis : null;
+    const jit   = Math.max(0, params.pitchJitter || 0);
+    const mask  = scaleMaskFor(params.pitchScale, params.scaleMask);
+    const grainSemis = (jit > 0 || mask)
+      ? jitteredSemis(semis ?? 0, jit, mask, (params.scaleRoot | 0) % 12, rand)
+      : semis;
+    const noteMult = (grainSemis == null) ? 1 : Math.pow(2, grainSemis / 12);
     const rate = baseRate * noteMult;
 
     const inc  = rate * (this.bufferSampleRate / this.sampleRateOut);
 
-    const { L: panL, R: panR } = equalPowerPan(params.pan || 0);
+    // Direction: reversed grains read the same span backwards (start at its far end).
+    // Ping-pong grains turn around halfway, so they cover half the span and return.
+    const reverse  = rand() < clamp01(params.reverseProb || 0);
+    const pingPong = (params.pingPong | 0) === 1;
+    const span     = (pingPong ? envFrames / 2 : envFrames) * inc;
+    const phase0   = reverse ? startIndex + span : startIndex;
+
+    // Stereo scatter: uniform pan offset around the cursor pan
+    const scatter = clamp01(params.panScatter || 0);
+    const grainPan = scatter > 0
+      ? clamp((params.pan || 0) + (rand() * 2 - 1) * scatter, -1, 1)
+      : (params.pan || 0);
+    const { L: panL, R: panR } = equalPowerPan(grainPan);
+
+    // Level jitter: random attenuation of 0..ampJitter dB (never boosts)
+    const ampJit = Math.max(0, params.ampJitter || 0);
+    const ampMul = ampJit > 0 ? Math.pow(10, -(rand() * ampJit) / 20) : 1;
 
     const local = this._loudnessAtIndex(startIndex);
     const target = 0.12;
@@ -412,41 +1044,93 @@ class GranularProcessorPro extends AudioWorkletProcessor {
 
     const idx = this.g_count++;
     this.g_cursor[idx] = cursorIndex;
-    this.g_phase[idx]  = startIndex;
-    this.g_inc[idx]    = inc;
+    this.g_phase[idx]  = phase0;
+    this.g_inc[idx]    = reverse ? -inc : inc;
     this.g_envPos[idx] = 0;
     this.g_envLen[idx] = envFrames;
     this.g_panL[idx]   = panL;
     this.g_panR[idx]   = panR;
-    this.g_gainC[idx]  = loudComp;
+    this.g_gainC[idx]  = loudComp * gainMul * ampMul;
+    this.g_win[idx]    = this.windows.indexFor(params.winShape, params.winAmount);
+    this.g_interp[idx] = spawnInterp(this._interpBudget, Math.min(this.interpQuality, this._adapt.interpMax), this.g_inc[idx]);
+    this.g_flip[idx]   = pingPong ? (envFrames >> 1) : -1;
+    this.g_delay[idx]  = Math.max(0, offsetFrames | 0);
+    this.g_note[idx]   = note ? note.slot : -1;
+    this.g_fade[idx]   = 1;
+    this.g_fadeStep[idx] = 0;
+    this.g_liveBy[cursorIndex]++;
+  }
+
+  _killTailFrames() {
+    return Math.max(1, Math.floor((this._killTailMs / 1000) * this.sampleRateOut));
+  }
+
+  // Start a linear fade-out over `frames` (the grain is removed once silent)
+  _fadeGrain(g, frames) {
+    const step = 1 / Math.max(1, frames);
+    if (this.g_fadeStep[g] > 0) {
+      if (step > this.g_fadeStep[g]) this.g_fadeStep[g] = step;
+      return;
+    }
+    this.g_fadeStep[g] = step;
+    this.g_fading++;
+    this.g_liveBy[this.g_cursor[g]]--;
+  }
+
+  // Fade out one live grain chosen by the steal policy; false if none is left
+  _stealGrain() {
+    const g = pickGrainToSteal(this.grainSteal, this.g_count, this.g_cursor, this.g_envPos,
+                               this.g_fadeStep, this.g_liveBy, this._grainLevel);
+    if (g < 0) return false;
+    this._fadeGrain(g, this._killTailFrames());
+    return true;
   }
 
   // --- bus helpers ---
   _ensureBusSize(n){
-    if (this.busAL.length !== n){
-      this.busAL = new Float32Array(n); this.busAR = new Float32Array(n);
-      this.busBL = new Float32Array(n); this.busBR = new Float32Array(n);
-      this.busCL = new Float32Array(n); this.busCR = new Float32Array(n);
-    } else {
-      this.busAL.fill(0); this.busAR.fill(0);
-      this.busBL.fill(0); this.busBR.fill(0);
-      this.busCL.fill(0); this.busCR.fill(0);
+    for (let c = 0; c < this.cursorCount; c++) {
+      const bus = this.buses[c];
+      if (bus.L.length !== n) {
+        bus.L = new Float32Array(n); bus.R = new Float32Array(n);
+      } else {
+        bus.L.fill(0); bus.R.fill(0);
+      }
     }
   }
 
-  // Backpressure factor based on active grain count
-  _spawnBudgetFactor() {
-    const n = this.g_count;
-    const M = this.MAX_GRAINS;
-    if (n >= 0.95 * M) return 0.0;  // full stop
-    if (n >= 0.85 * M) return 0.20; // drastically reduce
-    if (n >= 0.70 * M) return 0.40;
-    if (n >= 0.50 * M) return 0.65;
-    return 1.0;
+  // Backpressure factor based on live grain count (fair-share stealing exempts
+  // cursors below their share of the pool, so a dense cursor cannot starve them)
+  _spawnBudgetFactor(cursorIdx) {
+    const live = this.g_count - this.g_fading;
+    if (this.grainSteal === GRAIN_STEAL.FAIR &&
+        this.g_liveBy[cursorIdx] < this.MAX_GRAINS / Math.max(1, this.cursorCount)) return 1.0;
+    return spawnBudget(live, this.MAX_GRAINS);
   }
 
   // ===== Render =====
+  // Timed wrapper: every block (silent ones included) counts towards the DSP load
   process(inputs, outputs) {
+    const t0 = loadClock();
+    const out0 = outputs[0];
+    const frames = (out0 && out0[0]) ? out0[0].length : 0;
+    if (this._timelinePos < this._timeline.length) this._runTimeline(frames);
+    this._adapt = adaptiveLimits(this.dspLoad);
+    const keep = this._render(inputs, outputs);
+    if (frames) blockEnd(this.dspLoad, t0, frames);
+    this._frame += frames;
+    return keep;
+  }
+
+  // Offline timeline: events due before the end of this block apply at its start
+  // (the same block granularity live messages get)
+  _runTimeline(frames) {
+    const tl = this._timeline, end = this._frame + frames;
+    while (this._timelinePos < tl.length && (tl[this._timelinePos].frame || 0) < end) {
+      this.port.onmessage({ data: tl[this._timelinePos++].msg });
+    }
+  }
+
+  _render(inputs, outputs) {
     const out0 = outputs[0];
     if (!out0 || out0.length < 2) return true;
     const outL = out0[0];
@@ -457,16 +1141,18 @@ class GranularProcessorPro extends AudioWorkletProcessor {
     for (let i = 0; i < frames; i++) { outL[i] = 0; outR[i] = 0; }
     this._ensureBusSize(frames);
 
-    const [pA, pB, pC] = this._readParams();
+    const nCur = this.cursorCount;
+    const P = this._readParams();
+    this._blockParams = P;
 
     // Initialize gain smoothing on first run
-    if (!Number.isFinite(this._gainSmooth[0])) this._gainSmooth = [pA.gain ?? 0.5, pB.gain ?? 0.5, pC.gain ?? 0.5];
-    this._gainTarget[0] = (pA.gain ?? 0.5);
-    this._gainTarget[1] = (pB.gain ?? 0.5);
-    this._gainTarget[2] = (pC.gain ?? 0.5);
+    for (let i = 0; i < nCur; i++) {
+      if (!Number.isFinite(this._gainSmooth[i])) this._gainSmooth[i] = P[i].gain ?? 0.5;
+      this._gainTarget[i] = (P[i].gain ?? 0.5);
+    }
 
     // Advance cursor positions (they move even when Play is OFF)
-    this._advancePositions(frames, pA, pB, pC);
+    this._advancePositions(frames, P);
 
     // Visualize positions (also when notes are active while Play is OFF)
     this.vizCounter += frames;
@@ -474,150 +1160,193 @@ class GranularProcessorPro extends AudioWorkletProcessor {
     if (doViz) this.vizCounter = 0;
 
     const hasKb = this._hasKbNotesAny();
-    if (doViz && (this.playing || hasKb)) {
-      this.port.postMessage({ type: "positions", positions: [this.positions[0], this.positions[1], this.positions[2]] });
+    if (doViz && !this.offline && (this.playing || hasKb)) {
+      this.port.postMessage({ type: "positions", positions: Array.from(this.positions.subarray(0, nCur)) });
     }
 
-    // Audio gate
+    // Audio gate (delay tails keep it open after the last grain)
     const haveGrains = (this.g_count > 0);
-    if ((!this.playing && !hasKb && !haveGrains) || !this.channels || this.bufferLength === 0) {
+    if ((!this.playing && !hasKb && !haveGrains && !this._fxTails(nCur)) || !this.channels || this.bufferLength === 0) {
+      // Silence still reaches the loudness meter (momentary/short-term fall back)
+      processLoudness(this.loudness, outL, outR);
+      if (doViz) this._postTelemetry(-Infinity, 0, 0);
+      advanceClock(this.clock, frames);
       return true;
     }
 
-    // LFO phase advance
+    // LFO advance + routing (modulated copies are used for scheduling/spawning),
+    // then the per-note amplitude envelopes
     const secondsBlock = frames / this.sampleRateOut;
-    const dphiA = 2 * Math.PI * Math.max(0, pA.lfoFreq || 0) * secondsBlock;
-    const dphiB = 2 * Math.PI * Math.max(0, pB.lfoFreq || 0) * secondsBlock;
-    const dphiC = 2 * Math.PI * Math.max(0, pC.lfoFreq || 0) * secondsBlock;
-    this.lfoPhaseA += dphiA;
-    this.lfoPhaseB += dphiB;
-    this.lfoPhaseC += dphiC;
-    if (this.lfoPhaseA > 1e12) this.lfoPhaseA -= 1e12;
-    if (this.lfoPhaseB > 1e12) this.lfoPhaseB -= 1e12;
-    if (this.lfoPhaseC > 1e12) this.lfoPhaseC -= 1e12;
+    const M = this._blockMods;
+    for (let i = 0; i < nCur; i++) {
+      const lfo = this._updateLfo(i, P[i], secondsBlock);
+      M[i] = this._applyMods(i, this._applyLfo(P[i], lfo), lfo, secondsBlock);
+      this._gainTarget[i] = (M[i].gain ?? 0.5);
+      this._updateNoteEnvs(i, M[i], secondsBlock);
+    }
 
+    // Per-cursor gain smoothing (once per block)
     // No overlap compensation - let the limiter handle peaks naturally
     // This makes the synth feel more natural: more density/size = more volume
-    const compA = 1.0;
-    const compB = 1.0;
-    const compC = 1.0;
-
-    // Per-cursor gain smoothing (once per block)
     const kGain = 1 - Math.exp(-(frames / this.sampleRateOut) / (this._gainTauMs / 1000));
-    for (let i = 0; i < 3; i++) {
+    // Grains ramp from gains0 to gains across the block (LFO -> gain included)
+    const gains = this._blockGain, gains0 = this._blockGain0;
+    for (let i = 0; i < nCur; i++) {
       this._gainSmooth[i] += (this._gainTarget[i] - this._gainSmooth[i]) * kGain;
+      const g = Math.max(0, this._gainSmooth[i] * (1 + this.lfoVal[i] * (P[i].lfoToGain || 0)));
+      gains0[i] = Number.isNaN(gains[i]) ? g : gains[i];
+      gains[i] = g;
     }
-    const gainA = Math.max(0, this._gainSmooth[0] * compA);
-    const gainB = Math.max(0, this._gainSmooth[1] * compB);
-    const gainC = Math.max(0, this._gainSmooth[2] * compC);
-
-    // Poisson scheduling per cursor with backpressure/spawn limit
-    const kbA = this._cursorHasKb(0);
-    const kbB = this._cursorHasKb(1);
-    const kbC = this._cursorHasKb(2);
-
-    const budget = this._spawnBudgetFactor();
 
-    const schedOne = (p, framesToNext, cursorIdx) => {
+    // Grain scheduling per cursor (Poisson / jittered-uniform / synchronous)
+    // with backpressure/spawn limit. Spawns are sample-accurate inside the block.
+    const schedOne = (p, framesToNext, cursorIdx, note) => {
       let spawned = 0;
       const density = Math.max(0, p.density || 0);
-      const effDen  = density * budget;
+      const effDen  = density * this._spawnBudgetFactor(cursorIdx) * this._adapt.densityMul;
       if (effDen <= 0) {
         // no new grains, but keep the timer moving to avoid accumulation
         return Math.max(0, framesToNext - frames);
       }
 
+      const mode   = p.schedMode | 0;
+      const jitter = clamp01(p.schedJitter ?? 0.2);
       const nextInt = () => {
         // protection: minimum density to avoid near-zero steps
         const d = Math.max(0.1, effDen);
-        return nextIntervalFramesPoisson(this.sampleRateOut, d);
+        return nextIntervalFrames(mode, this.sampleRateOut, d, jitter, this.rngSched[cursorIdx].next);
       };
+      // frame index (0..frames-1) of a spawn due after `due` frames
+      const offsetOf = (due) => clamp(Math.ceil(due) - 1, 0, frames - 1);
 
       if (framesToNext <= 0) framesToNext = nextInt();
       if (framesToNext <= frames) {
-        this._spawnGrain(cursorIdx, p); spawned++;
+        this._spawnGrain(cursorIdx, p, offsetOf(framesToNext), 1, note); spawned++;
         let acc = framesToNext + nextInt();
         // limit spawns per block per cursor
         while (acc <= frames && spawned < this._maxSpawnPerBlock) {
-          this._spawnGrain(cursorIdx, p); spawned++;
+          this._spawnGrain(cursorIdx, p, offsetOf(acc), 1, note); spawned++;
           acc += nextInt();
         }
+        // grains still due in this block are skipped (estimate from the rate)
+        if (acc <= frames) this._droppedSpawns += 1 + Math.floor((frames - acc) * effDen / this.sampleRateOut);
         return acc - frames;
       } else {
         return framesToNext - frames;
       }
     };
 
-    if (this.playing || kbA) this.framesToNextGrainA = schedOne(pA, this.framesToNextGrainA, 0);
-    else this.framesToNextGrainA = Math.max(0, this.framesToNextGrainA - frames);
-
-    if (this.playing || kbB) this.framesToNextGrainB = schedOne(pB, this.framesToNextGrainB, 1);
-    else this.framesToNextGrainB = Math.max(0, this.framesToNextGrainB - frames);
+    // Tempo-synced triggering: one grain per division step, sample-accurate,
+    // gated by step probability and boosted on beats/downbeats by the accent amount
+    // (a full pool steals instead of skipping steps)
+    const schedSynced = (p, cursorIdx, note) => {
+      const n = stepsInBlock(this.clock, p.syncDiv | 0, frames);
+      const prob   = clamp01(p.stepProb ?? 1) * this._adapt.densityMul;
+      const accent = clamp01(p.accent || 0);
+      for (let k = 0; k < n; k++) {
+        if (this.rngSched[cursorIdx].next() >= prob) continue;
+        const lvl = this.clock.stepLevels[k];
+        const acc = 1 + accent * (lvl === STEP_LEVEL.DOWNBEAT ? 1.0 : (lvl === STEP_LEVEL.BEAT ? 0.5 : 0));
+        this._spawnGrain(cursorIdx, p, this.clock.stepOffsets[k], acc, note);
+      }
+      return 0; // free-running timer restarts when sync is turned off
+    };
+    const schedCursor = (p, framesToNext, cursorIdx, note = null) =>
+      ((p.syncDiv | 0) > 0) ? schedSynced(p, cursorIdx, note) : schedOne(p, framesToNext, cursorIdx, note);
+
+    // Held notes are independent voices (own timer, full density each);
+    // without notes the cursor runs a single transport cloud while playing
+    const schedVoices = (p, framesToNext, cursorIdx) => {
+      const notes = this.kbNotes[cursorIdx];
+      if (notes.length === 0) {
+        return this.playing ? schedCursor(p, framesToNext, cursorIdx) : Math.max(0, framesToNext - frames);
+      }
+      for (let k = 0; k < notes.length; k++) {
+        const n = notes[k];
+        if (!n.stolen) n.ftn = schedCursor(p, n.ftn, cursorIdx, n);
+      }
+      return Math.max(0, framesToNext - frames);
+    };
 
-    if (this.playing || kbC) this.framesToNextGrainC = schedOne(pC, this.framesToNextGrainC, 2);
-    else this.framesToNextGrainC = Math.max(0, this.framesToNextGrainC - frames);
+    for (let i = 0; i < nCur; i++) {
+      this.framesToNextGrain[i] = schedVoices(M[i], this.framesToNextGrain[i], i);
+    }
 
-    // Grain synthesis -> sum to bus A/B/C
+    // Grain synthesis -> sum to the cursor buses
 
-    // If a soft kill was requested, shorten grains of that cursor to a small tail
-    const tailFrames = Math.max(1, Math.floor((this._killTailMs / 1000) * this.sampleRateOut));
-    if (this._killPending[0] || this._killPending[1] || this._killPending[2]) {
+    // If a soft kill was requested, fade the grains of that cursor over a small tail
+    const tailFrames = this._killTailFrames();
+    const killAny = this._killPending.includes(true);
+    if (killAny) {
       for (let g = this.g_count - 1; g >= 0; g--) {
-        const c = this.g_cursor[g];
-        if (this._killPending[c]) {
-          // limita la lunghezza del grano: envPos + tailFrames
-          const newLen = Math.min(this.g_envLen[g], this.g_envPos[g] + tailFrames);
-          this.g_envLen[g] = newLen;
-        }
+        if (this._killPending[this.g_cursor[g]]) this._fadeGrain(g, tailFrames);
       }
     }
 
     // Reset kill flags when no more grains remain for that cursor
-    if (this._killPending[0] || this._killPending[1] || this._killPending[2]) {
-      let hasA = false, hasB = false, hasC = false;
-      for (let g = this.g_count - 1; g >= 0; g--) {
-        const c = this.g_cursor[g];
-        if (c === 0) hasA = true;
-        else if (c === 1) hasB = true;
-        else if (c === 2) hasC = true;
-        if (hasA && hasB && hasC) break;
-      }
-      if (!hasA) this._killPending[0] = false;
-      if (!hasB) this._killPending[1] = false;
-      if (!hasC) this._killPending[2] = false;
+    if (killAny) {
+      const has = this._hasGrains;
+      has.fill(0);
+      for (let g = this.g_count - 1; g >= 0; g--) has[this.g_cursor[g]] = 1;
+      for (let c = 0; c < MAX_CURSORS; c++) if (!has[c]) this._killPending[c] = false;
     }
 
+    // Source channels (each grain reads with the interpolation mode it spawned with)
+    const srcL = this.channels ? this.channels[0] : null;
+    const srcR = (this.channels && this.channels[1]) || srcL;
+    const srcLen = this.bufferLength | 0;
+    const s2 = this._interpOut;
+
     for (let g = this.g_count - 1; g >= 0; g--) {
       const envPos = this.g_envPos[g];
       const envLen = this.g_envLen[g];
-      const N = Math.min(envLen - envPos, frames);
+      const delay  = this.g_delay[g];
+      // Fading grains (stolen / soft-killed) end when their fade reaches zero
+      let fade = this.g_fade[g];
+      const fadeStep = this.g_fadeStep[g];
+      const fadeLeft = fadeStep > 0 ? Math.ceil(fade / fadeStep) : Infinity;
+      const N = Math.min(envLen - envPos, frames - delay, fadeLeft);
       if (N <= 0) { this._killGrainSwap(g); continue; }
 
       let ph   = this.g_phase[g];
-      const inc  = this.g_inc[g];
+      let inc  = this.g_inc[g];
+      const flipAt = this.g_flip[g];
       const panL = this.g_panL[g], panR = this.g_panR[g];
       const localComp = this.g_gainC[g];
       const which = this.g_cursor[g];
-      const baseGain = (which === 0 ? gainA : (which === 1 ? gainB : gainC));
-      const gcur = baseGain * localComp;
+      const lut  = this.windows.lut(this.g_win[g]);
+      const interp = this.g_interp[g];
+
+      // Cursor gain and note amp envelope: linear ramp across the block
+      // (transport grains only follow the cursor gain)
+      const slot = this.g_note[g];
+      let a0 = gains0[which] * localComp, a1 = gains[which] * localComp;
+      if (slot >= 0) {
+        a0 *= this.noteLvl0[slot];
+        a1 *= this.noteLvl1[slot];
+      }
+      const ampStep = (a1 - a0) / frames;
+      let amp = a0 + ampStep * delay;
 
       let pos = envPos;
-      // Bus shortcuts
-      let BL, BR;
-      if (which === 0) { BL = this.busAL; BR = this.busAR; }
-      else if (which === 1) { BL = this.busBL; BR = this.busBR; }
-      else { BL = this.busCL; BR = this.busCR; }
+      const BL = this.buses[which].L, BR = this.buses[which].R;
 
-      for (let i = 0; i < N; i++) {
-        const env = envAtFromLUT(pos, envLen, this.envLUT);
+      const iEnd = delay + N;
+      for (let i = delay; i < iEnd; i++) {
+        if (pos === flipAt) inc = -inc; // ping-pong turnaround
+        const env = envAtFromLUT(pos, envLen, lut);
 
         // Read from source channels (no downmix)
-        const sL = this._interpCh(0, ph) * env;
-        const sR = this._interpCh(1, ph) * env;
+        readInterp(interp, srcL, srcR, srcLen, ph, inc, s2);
+        const sL = s2[0] * env;
+        const sR = s2[1] * env;
 
         // Pan come "balance" sul pair stereo
-        const Ldry = sL * panL * gcur;
-        const Rdry = sR * panR * gcur;
+        const a = amp * fade;
+        const Ldry = sL * panL * a;
+        const Rdry = sR * panR * a;
+        amp += ampStep;
+        fade -= fadeStep;
 
         BL[i] += Ldry;
         BR[i] += Rdry;
@@ -627,14 +1356,20 @@ class GranularProcessorPro extends AudioWorkletProcessor {
       }
 
       this.g_phase[g]   = ph;
+      this.g_inc[g]     = inc;
       this.g_envPos[g] += N;
+      this.g_delay[g]   = 0;
+      this.g_fade[g]    = fade;
 
-      if (this.g_envPos[g] >= envLen) {
+      if (this.g_envPos[g] >= envLen || N === fadeLeft) {
         this._killGrainSwap(g);
       }
     }
 
-    // Filter targets (per channel A/B/C) + LFO on cutoff
+    // Notes whose release has finished are dropped (their grains were ramped to silence)
+    for (let i = 0; i < nCur; i++) this._reapKbNotes(i);
+
+    // Filter targets (one channel per cursor) + LFO on cutoff
     const mapCut = (val) => {
       const f = Number(val);
       if (!Number.isFinite(f)) return 2000;
@@ -659,38 +1394,89 @@ class GranularProcessorPro extends AudioWorkletProcessor {
       return (Number(v) >= 0.5) ? 2 : 1; // 0/1 normalized
     };
 
-    const A_base = mapCut(pA.cutoff);
-    const B_base = mapCut(pB.cutoff);
-    const C_base = mapCut(pC.cutoff);
-    const A_fc = clamp(A_base * (1 + clamp01(pA.lfoDepth) * Math.sin(this.lfoPhaseA)), 20, 0.45*this.sampleRateOut);
-    const B_fc = clamp(B_base * (1 + clamp01(pB.lfoDepth) * Math.sin(this.lfoPhaseB)), 20, 0.45*this.sampleRateOut);
-    const C_fc = clamp(C_base * (1 + clamp01(pC.lfoDepth) * Math.sin(this.lfoPhaseC)), 20, 0.45*this.sampleRateOut);
-
-    this.filters.setChannelTargets(0, { hz: A_fc, q: deriveQ(pA), stages: deriveStages(pA), drive: deriveDrive(pA), tauMs:25 });
-    this.filters.setChannelTargets(1, { hz: B_fc, q: deriveQ(pB), stages: deriveStages(pB), drive: deriveDrive(pB), tauMs:25 });
-    this.filters.setChannelTargets(2, { hz: C_fc, q: deriveQ(pC), stages: deriveStages(pC), drive: deriveDrive(pC), tauMs:25 });
-
-    // Filter bus A/B/C -> sum to outL/outR
-    this.filters.processFromBuses(
-      [
-        { L: this.busAL, R: this.busAR },
-        { L: this.busBL, R: this.busBR },
-        { L: this.busCL, R: this.busCR }
-      ],
-      outL, outR
-    );
-
-    // Post limiter
-    const { tpDb, grDb } = processLimiter(this.limiter, outL, outR);
+    // Filter envelope (note-gated ADSR, amount in octaves) as a cutoff factor the
+    // filter applies after its smoothing; key tracking around C4 stays smoothed
+    const envMul = (i, p) => {
+      const env = advanceADSR(this.filterEnv[i], {
+        attack: p.fEnvAttack, decay: p.fEnvDecay, sustain: p.fEnvSustain, release: p.fEnvRelease
+      }, secondsBlock);
+      return Math.pow(2, clamp(p.fEnvAmount || 0, -6, 6) * clamp01(env));
+    };
+    const keyMod = (i, p, hz) => computeEffectiveCutoff(hz, {
+      keySemis: this.kbLast[i], keyTrack: p.keyTrack || 0
+    });
 
-    if (doViz) {
-      this.port.postMessage({ type: "telemetry", tpDb, grDb });
+    for (let i = 0; i < nCur; i++) {
+      const m = M[i];
+      const base = mapCut(m.cutoff);
+      const withLfo = clamp(base * (1 + clamp01(m.lfoDepth) * this.lfoVal[i]), 20, 0.45*this.sampleRateOut);
+      this.filters.setChannelTargets(i, {
+        hz: keyMod(i, m, withLfo), envMul: envMul(i, m),
+        q: deriveQ(m), stages: deriveStages(m), drive: deriveDrive(m),
+        driveCurve: m.driveCurve | 0, oversample: m.driveOversample ?? 2,
+        type: m.filterType | 0, gainDb: m.peakGainDb, tauMs: 25
+      });
+      setDelayTargets(this.delays[i], {
+        timeSec: this._delaySeconds(m), feedback: m.delayFeedback, damp: m.delayDamp,
+        mix: m.delayMix, pingPong: (m.delayPingPong | 0) === 1
+      });
     }
 
+    // Filter each cursor bus, run its delay insert, sum to outL/outR and feed
+    // the reverb send (level ramped across the block)
+    const fx = this._fxBus, post = this._postBus, send = this._sendBus;
+    if (fx.L.length !== frames) {
+      for (const b of [fx, post, send]) { b.L = new Float32Array(frames); b.R = new Float32Array(frames); }
+    }
+    send.L.fill(0); send.R.fill(0);
+    for (let i = 0; i < nCur; i++) {
+      fx.L.fill(0); fx.R.fill(0); post.L.fill(0); post.R.fill(0);
+      this.filters.processChannel(i, this.buses[i].L, this.buses[i].R, fx.L, fx.R);
+      processDelay(this.delays[i], fx.L, fx.R, post.L, post.R);
+      const s0 = this._sendLevel[i], s1 = clamp01(M[i].reverbSend || 0);
+      const ds = (s1 - s0) / frames;
+      for (let k = 0; k < frames; k++) {
+        const a = post.L[k], b = post.R[k], sl = s0 + ds * (k + 1);
+        outL[k] += a; outR[k] += b;
+        send.L[k] += a * sl; send.R[k] += b * sl;
+      }
+      this._sendLevel[i] = s1;
+    }
+    processReverb(this.reverb, send.L, send.R, outL, outR);
+
+    // Master chain: EQ -> compressor -> post limiter
+    processMasterEq(this.masterEq, outL, outR);
+    const compDb = processCompressor(this.compressor, outL, outR);
+    const { tpDb, grDb } = processLimiter(this.limiter, outL, outR);
+    processLoudness(this.loudness, outL, outR);
+
+    if (doViz) this._postTelemetry(tpDb, grDb, compDb);
+
+    advanceClock(this.clock, frames);
+
     return true;
   }
 
+  // Limiter/compressor readings + loudness (LUFS, LRA in LU) + DSP load
+  // (percent of the block budget), live grains per cursor, dropped spawns;
+  // nobody reads them offline
+  _postTelemetry(tpDb, grDb, compDb) {
+    if (this.offline) return;
+    const l = loudnessReadout(this.loudness);
+    const c = loadReadout(this.dspLoad);
+    this.port.postMessage({
+      type: "telemetry", tpDb, grDb, compDb,
+      lufsM: l.momentary, lufsS: l.shortTerm, lufsI: l.integrated, lra: l.lra,
+      dspLoad: c.load, dspPeak: c.peak, adaptLevel: c.level,
+      grains: Array.from(this.g_liveBy.subarray(0, this.cursorCount)),
+      droppedSpawns: this._droppedSpawns
+    });
+  }
+
   _killGrainSwap(idx) {
+    if (this.g_fadeStep[idx] > 0) this.g_fading--;
+    else this.g_liveBy[this.g_cursor[idx]]--;
+    releaseInterp(this._interpBudget, this.g_interp[idx], this.g_inc[idx]);
     const last = --this.g_count;
     if (idx === last) return;
     this.g_cursor[idx] = this.g_cursor[last];
@@ -701,6 +1487,13 @@ class GranularProcessorPro extends AudioWorkletProcessor {
     this.g_panL[idx]   = this.g_panL[last];
     this.g_panR[idx]   = this.g_panR[last];
     this.g_gainC[idx]  = this.g_gainC[last];
+    this.g_win[idx]    = this.g_win[last];
+    this.g_interp[idx] = this.g_interp[last];
+    this.g_flip[idx]   = this.g_flip[last];
+    this.g_delay[idx]  = this.g_delay[last];
+    this.g_note[idx]   = this.g_note[last];
+    this.g_fade[idx]   = this.g_fade[last];
+    this.g_fadeStep[idx] = this.g_fadeStep[last];
   }
 }
 